@@ -0,0 +1,253 @@
+/**
+ * ChangeLog - Persists change events from each monitoring run and queries them
+ *
+ * Each run with changes is stored under `changes:<timestamp>`; the `changes_index`
+ * key lists those runs (oldest first) so queries only load the runs they need.
+ * `changes_by_model` maps each model ID to the runs that changed it, so a
+ * model's history loads without walking the whole log.
+ */
+
+import { getProvider } from './models.js';
+
+const CHANGES_KEY_PREFIX = 'changes:';
+const CHANGES_INDEX_KEY = 'changes_index';
+const MODEL_INDEX_KEY = 'changes_by_model';
+
+const DEFAULT_RETENTION_DAYS = 365;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 500;
+
+// Newest runs kept per model in the model index, and runs scanned to build it
+const MAX_RUNS_PER_MODEL = 100;
+const MAX_BACKFILL_RUNS = 500;
+
+export const CHANGE_TYPES = ['added', 'removed', 'modified'];
+
+/**
+ * Build a stable, URL-safe event ID from the run time and the event position
+ */
+function buildEventId(timestamp, seq) {
+  return `${Date.parse(timestamp).toString(36)}-${seq}`;
+}
+
+/**
+ * Parse an event ID into its run time and position, or null if it is malformed
+ */
+export function parseEventId(id) {
+  const match = /^([0-9a-z]+)-(\d+)$/.exec(id || '');
+  if (!match) {
+    return null;
+  }
+  return { time: parseInt(match[1], 36), seq: parseInt(match[2], 10) };
+}
+
+function addModelRun(modelIndex, modelId, timestamp) {
+  const runs = modelIndex[modelId] || (modelIndex[modelId] = []);
+  if (runs[runs.length - 1] !== timestamp) {
+    runs.push(timestamp);
+  }
+}
+
+export class ChangeLog {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+
+    const retentionDays = parseInt(env.CHANGELOG_RETENTION_DAYS, 10);
+    this.retentionDays = Number.isNaN(retentionDays) || retentionDays < 1 ? DEFAULT_RETENTION_DAYS : retentionDays;
+  }
+
+  /**
+   * Persist the events of a change record, assigning each a stable ID.
+   * Returns the stored events (empty if the record has no changes).
+   */
+  async record(changeRecord) {
+    if (!changeRecord || !changeRecord.events || changeRecord.events.length === 0) {
+      return [];
+    }
+
+    const { timestamp } = changeRecord;
+    const events = changeRecord.events.map((event, seq) => ({
+      id: buildEventId(timestamp, seq),
+      timestamp,
+      ...event
+    }));
+
+    await this.kv.put(CHANGES_KEY_PREFIX + timestamp, JSON.stringify({
+      timestamp,
+      previousTimestamp: changeRecord.previousTimestamp,
+      summary: changeRecord.summary,
+      events
+    }));
+
+    const cutoff = Date.now() - this.retentionDays * 24 * 60 * 60 * 1000;
+    const index = await this.getIndex();
+    index.push({ timestamp, count: events.length });
+
+    const kept = index.filter(entry => Date.parse(entry.timestamp) >= cutoff);
+    const expired = index.filter(entry => Date.parse(entry.timestamp) < cutoff);
+
+    await this.kv.put(CHANGES_INDEX_KEY, JSON.stringify(kept));
+    await Promise.all(expired.map(entry => this.kv.delete(CHANGES_KEY_PREFIX + entry.timestamp)));
+    await this.updateModelIndex(timestamp, events, kept, cutoff);
+
+    return events;
+  }
+
+  /**
+   * Add a run to the model index and drop runs past retention. The index is
+   * built from the newest MAX_BACKFILL_RUNS runs the first time.
+   */
+  async updateModelIndex(timestamp, events, runIndex, cutoff) {
+    let modelIndex = await this.getModelIndex();
+    if (!modelIndex) {
+      modelIndex = {};
+      for (const entry of runIndex.slice(-MAX_BACKFILL_RUNS - 1, -1)) {
+        const run = await this.getRun(entry.timestamp);
+        for (const event of run ? run.events : []) {
+          addModelRun(modelIndex, event.modelId, entry.timestamp);
+        }
+      }
+    }
+
+    for (const event of events) {
+      addModelRun(modelIndex, event.modelId, timestamp);
+    }
+
+    for (const [modelId, runs] of Object.entries(modelIndex)) {
+      const kept = runs.filter(run => Date.parse(run) >= cutoff).slice(-MAX_RUNS_PER_MODEL);
+      if (kept.length > 0) {
+        modelIndex[modelId] = kept;
+      } else {
+        delete modelIndex[modelId];
+      }
+    }
+
+    await this.kv.put(MODEL_INDEX_KEY, JSON.stringify(modelIndex));
+  }
+
+  /**
+   * Get the model index ({ modelId: [run timestamp, ...] }, oldest first), or
+   * null before it has been built
+   */
+  async getModelIndex() {
+    try {
+      const data = await this.kv.get(MODEL_INDEX_KEY);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error retrieving model change index:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Events of one model, oldest first, from its newest MAX_RUNS_PER_MODEL runs
+   */
+  async getModelEvents(modelId) {
+    const runs = ((await this.getModelIndex()) || {})[modelId] || [];
+    const records = await Promise.all(runs.map(timestamp => this.getRun(timestamp)));
+    return records
+      .filter(Boolean)
+      .flatMap(run => run.events.filter(event => event.modelId === modelId));
+  }
+
+  /**
+   * Get the run index, oldest first
+   */
+  async getIndex() {
+    try {
+      const data = await this.kv.get(CHANGES_INDEX_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error retrieving change index:', error);
+      return [];
+    }
+  }
+
+  /**
+   * Query change events, newest first.
+   *
+   * Options: since/until (ISO times), modelId (exact), modelPrefix, provider,
+   * types (array of change types), filter (extra predicate), limit, cursor
+   * (ID of the last event of the previous page) and maxRuns (stop after loading
+   * that many runs, for selective filters). Returns { events, nextCursor }.
+   */
+  async query(options = {}) {
+    const {
+      since,
+      until,
+      modelId,
+      modelPrefix,
+      provider,
+      types,
+      cursor
+    } = options;
+
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+    const sinceMs = since ? Date.parse(since) : null;
+    const untilMs = until ? Date.parse(until) : null;
+    const position = cursor ? parseEventId(cursor) : null;
+    const typeSet = types && types.length > 0 ? new Set(types) : null;
+
+    const matches = event => {
+      if (typeSet && !typeSet.has(event.type)) return false;
+      if (modelId && event.modelId !== modelId) return false;
+      if (modelPrefix && !event.modelId.startsWith(modelPrefix)) return false;
+      if (provider && getProvider(event.modelId) !== provider) return false;
+      if (options.filter && !options.filter(event)) return false;
+      return true;
+    };
+
+    const index = await this.getIndex();
+    const events = [];
+    let hasMore = false;
+    let scannedRuns = 0;
+
+    for (let i = index.length - 1; i >= 0 && !hasMore; i--) {
+      const time = Date.parse(index[i].timestamp);
+      if (untilMs && time > untilMs) continue;
+      if (sinceMs && time < sinceMs) break;
+      if (position && time > position.time) continue;
+      if (options.maxRuns && scannedRuns >= options.maxRuns) break;
+
+      scannedRuns++;
+      const run = await this.getRun(index[i].timestamp);
+      if (!run) continue;
+
+      for (const event of run.events) {
+        if (position) {
+          const eventPosition = parseEventId(event.id);
+          if (eventPosition.time === position.time && eventPosition.seq <= position.seq) {
+            continue;
+          }
+        }
+
+        if (!matches(event)) continue;
+
+        if (events.length === limit) {
+          hasMore = true;
+          break;
+        }
+        events.push(event);
+      }
+    }
+
+    return {
+      events,
+      nextCursor: hasMore ? events[events.length - 1].id : null
+    };
+  }
+
+  /**
+   * Load the stored record of one monitoring run
+   */
+  async getRun(timestamp) {
+    try {
+      const data = await this.kv.get(CHANGES_KEY_PREFIX + timestamp);
+      return data ? JSON.parse(data) : null;
+    } catch (error) {
+      console.error('Error retrieving change run:', error);
+      return null;
+    }
+  }
+}
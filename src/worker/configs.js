@@ -0,0 +1,146 @@
+/**
+ * Client config snippets generated from the current free models
+ *
+ * Each format renders a list of models into a snippet that can be pasted into
+ * the client's config. API keys are left as placeholders (or environment
+ * references where the client supports them).
+ */
+
+import { getProvider } from './models.js';
+
+const OPENROUTER_API_BASE = 'https://openrouter.ai/api/v1';
+const API_KEY_PLACEHOLDER = '<OPENROUTER_API_KEY>';
+
+// JSON strings are valid YAML double-quoted scalars
+function yamlString(value) {
+  return JSON.stringify(String(value));
+}
+
+function hasInputModality(model, modality) {
+  return ((model.architecture || {}).input_modalities || []).includes(modality);
+}
+
+function supports(model, parameter) {
+  return (model.supported_parameters || []).includes(parameter);
+}
+
+function renderLiteLLM(models) {
+  if (models.length === 0) {
+    return 'model_list: []\n';
+  }
+
+  const lines = ['model_list:'];
+  for (const model of models) {
+    lines.push(`  - model_name: ${yamlString(model.id)}`);
+    lines.push('    litellm_params:');
+    lines.push(`      model: ${yamlString(`openrouter/${model.id}`)}`);
+    lines.push('      api_key: os.environ/OPENROUTER_API_KEY');
+    if (model.context_length) {
+      lines.push('    model_info:');
+      lines.push(`      max_input_tokens: ${Number(model.context_length)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function renderContinue(models) {
+  return {
+    models: models.map(model => ({
+      title: model.name || model.id,
+      provider: 'openrouter',
+      model: model.id,
+      apiBase: OPENROUTER_API_BASE,
+      apiKey: API_KEY_PLACEHOLDER,
+      ...(model.context_length ? { contextLength: Number(model.context_length) } : {})
+    }))
+  };
+}
+
+function renderCherryStudio(models) {
+  return {
+    id: 'openrouter-free',
+    type: 'openai',
+    name: 'OpenRouter Free',
+    apiKey: API_KEY_PLACEHOLDER,
+    apiHost: 'https://openrouter.ai/api/v1/',
+    enabled: true,
+    models: models.map(model => ({
+      id: model.id,
+      provider: 'openrouter-free',
+      name: model.name || model.id,
+      group: getProvider(model.id) || 'openrouter'
+    }))
+  };
+}
+
+function renderChatbox(models) {
+  return {
+    name: 'OpenRouter Free',
+    type: 'openai',
+    apiHost: 'https://openrouter.ai',
+    apiPath: '/api/v1/chat/completions',
+    apiKey: API_KEY_PLACEHOLDER,
+    models: models.map(model => {
+      const capabilities = [];
+      if (hasInputModality(model, 'image')) capabilities.push('vision');
+      if (supports(model, 'tools')) capabilities.push('tool_use');
+      if (supports(model, 'reasoning')) capabilities.push('reasoning');
+
+      return {
+        modelId: model.id,
+        nickname: model.name || model.id,
+        capabilities,
+        ...(model.context_length ? { contextWindow: Number(model.context_length) } : {})
+      };
+    })
+  };
+}
+
+function renderOpenRouterFallback(models) {
+  return { models: models.map(model => model.id) };
+}
+
+/**
+ * Supported formats: label, content type, file extension and renderer. JSON
+ * renderers return an object, text renderers a string.
+ */
+export const CONFIG_FORMATS = {
+  litellm: {
+    label: 'LiteLLM model_list (config.yaml)',
+    contentType: 'application/yaml; charset=utf-8',
+    extension: 'yaml',
+    render: renderLiteLLM
+  },
+  continue: {
+    label: 'Continue config.json models',
+    contentType: 'application/json',
+    extension: 'json',
+    render: renderContinue
+  },
+  'cherry-studio': {
+    label: 'Cherry Studio provider',
+    contentType: 'application/json',
+    extension: 'json',
+    render: renderCherryStudio
+  },
+  chatbox: {
+    label: 'ChatBox custom provider',
+    contentType: 'application/json',
+    extension: 'json',
+    render: renderChatbox
+  },
+  'openrouter-fallback': {
+    label: 'OpenRouter fallback models array',
+    contentType: 'application/json',
+    extension: 'json',
+    render: renderOpenRouterFallback
+  }
+};
+
+/**
+ * Render models in one of CONFIG_FORMATS, returning the response body
+ */
+export function renderConfig(format, models) {
+  const output = CONFIG_FORMATS[format].render(models);
+  return typeof output === 'string' ? output : JSON.stringify(output, null, 2);
+}
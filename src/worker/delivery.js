@@ -0,0 +1,293 @@
+/**
+ * DeliveryScheduler - Per-channel delivery modes and quiet hours
+ *
+ * A channel may carry a `delivery` object:
+ *   { mode: 'immediate' | 'batch' | 'digest', intervalMinutes, digestHour,
+ *     timezone, quietHours: { start: 'HH:MM', end: 'HH:MM' } }
+ *
+ * Events that should not go out right away are queued in one
+ * `notification_queue:<channel ID>` key per channel. Each monitoring run flushes
+ * the queues that are due, merging the queued change events into a single
+ * notification. A queue that reaches MAX_QUEUED_EVENTS is compacted when an
+ * event is added: its change events are merged and only the latest error kept.
+ */
+
+import { notifierRegistry } from './notifiers/index.js';
+import { buildBatchEvent } from './notifiers/event.js';
+
+const QUEUE_KEY_PREFIX = 'notification_queue:';
+// Earlier layout: every channel's queue in one value, moved on the next flush
+const LEGACY_QUEUE_KEY = 'notification_queue';
+
+// Queued events per channel; change events carry their full change records
+const MAX_QUEUED_EVENTS = 30;
+// Queues of channels that were deleted expire on their own
+const QUEUE_TTL_SECONDS = 7 * 24 * 60 * 60;
+
+export const DELIVERY_MODES = ['immediate', 'batch', 'digest'];
+
+const DEFAULT_INTERVAL_MINUTES = 60;
+const DEFAULT_DIGEST_HOUR = 9;
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Local date (YYYY-MM-DD) and minutes since midnight of a time in a timezone
+ */
+export function getLocalTime(time, timeZone = 'UTC') {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(new Date(time)).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    minutes: parseInt(parts.hour, 10) * 60 + parseInt(parts.minute, 10)
+  };
+}
+
+function parseTime(value) {
+  const match = TIME_PATTERN.exec(value);
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Validate a channel's delivery settings, returning an error message or null
+ */
+export function validateDelivery(delivery) {
+  if (delivery === undefined || delivery === null) {
+    return null;
+  }
+  if (typeof delivery !== 'object') {
+    return '投递设置格式错误';
+  }
+
+  if (delivery.mode !== undefined && !DELIVERY_MODES.includes(delivery.mode)) {
+    return `未知的投递方式: ${delivery.mode}`;
+  }
+
+  if (delivery.intervalMinutes !== undefined) {
+    const interval = Number(delivery.intervalMinutes);
+    if (!Number.isInteger(interval) || interval < 1 || interval > 1440) {
+      return '批量间隔必须在1-1440分钟之间';
+    }
+  }
+
+  if (delivery.digestHour !== undefined) {
+    const hour = Number(delivery.digestHour);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+      return '汇总发送时间必须在0-23点之间';
+    }
+  }
+
+  if (delivery.timezone !== undefined && (typeof delivery.timezone !== 'string' || !isValidTimeZone(delivery.timezone))) {
+    return `无效的时区: ${delivery.timezone}`;
+  }
+
+  if (delivery.quietHours) {
+    const { start, end } = delivery.quietHours;
+    if (!TIME_PATTERN.test(start || '') || !TIME_PATTERN.test(end || '')) {
+      return '免打扰时段必须为 HH:MM 格式';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Whether `time` falls inside the channel's quiet hours. Windows may wrap
+ * midnight, e.g. 23:00 - 07:00.
+ */
+export function isQuietTime(delivery, time) {
+  if (!delivery || !delivery.quietHours) {
+    return false;
+  }
+
+  const start = parseTime(delivery.quietHours.start);
+  const end = parseTime(delivery.quietHours.end);
+  if (start === end) {
+    return false;
+  }
+
+  const { minutes } = getLocalTime(time, delivery.timezone || 'UTC');
+  return start < end ? minutes >= start && minutes < end : minutes >= start || minutes < end;
+}
+
+/**
+ * Keep a queue within MAX_QUEUED_EVENTS: change events are merged into one,
+ * only the latest error is kept and the oldest rule and watchlist alerts go
+ */
+function compactQueue(events) {
+  if (events.length <= MAX_QUEUED_EVENTS) {
+    return events;
+  }
+
+  const changes = events.filter(event => event.kind === 'change');
+  const errors = events.filter(event => event.kind === 'error');
+  const kept = [
+    ...(changes.length > 0 ? [buildBatchEvent(changes)] : []),
+    ...errors.slice(-1)
+  ];
+  const alerts = events.filter(event => event.kind !== 'change' && event.kind !== 'error');
+  return [...kept, ...alerts.slice(-(MAX_QUEUED_EVENTS - kept.length))];
+}
+
+/**
+ * The "digest day" a time belongs to: days roll over at `digestHour` local time
+ */
+function getDigestDay(delivery, time) {
+  const digestHour = delivery.digestHour ?? DEFAULT_DIGEST_HOUR;
+  return getLocalTime(time - digestHour * 60 * 60 * 1000, delivery.timezone || 'UTC').date;
+}
+
+export class DeliveryScheduler {
+  constructor(env, outbox) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+    this.outbox = outbox;
+  }
+
+  async getQueue(channelId) {
+    const data = await this.kv.get(QUEUE_KEY_PREFIX + channelId);
+    return data ? JSON.parse(data) : null;
+  }
+
+  async putQueue(channelId, entry) {
+    await this.kv.put(QUEUE_KEY_PREFIX + channelId, JSON.stringify(entry), { expirationTtl: QUEUE_TTL_SECONDS });
+  }
+
+  /**
+   * Move the queues of the single-value layout into per-channel keys
+   */
+  async migrate() {
+    const data = await this.kv.get(LEGACY_QUEUE_KEY);
+    if (!data) {
+      return;
+    }
+
+    for (const [channelId, entry] of Object.entries(JSON.parse(data))) {
+      const current = await this.getQueue(channelId);
+      await this.putQueue(channelId, current
+        ? { since: entry.since, events: compactQueue([...entry.events, ...current.events]) }
+        : entry);
+    }
+    await this.kv.delete(LEGACY_QUEUE_KEY);
+  }
+
+  /**
+   * Whether an event for this channel has to wait in the queue
+   */
+  shouldQueue(channel, event, now = Date.now()) {
+    const delivery = channel.delivery;
+    if (!delivery || notifierRegistry.isDigest(channel)) {
+      return false;
+    }
+
+    if (isQuietTime(delivery, now)) {
+      return true;
+    }
+
+    // Batching only applies to change events; errors go out right away
+    return event.kind === 'change' && (delivery.mode === 'batch' || delivery.mode === 'digest');
+  }
+
+  /**
+   * Split channels into those to notify now and those whose event gets queued,
+   * and queue the event for the latter. Returns the channels to notify now.
+   */
+  async route(channels, event, now = Date.now()) {
+    const queued = channels.filter(channel => channel.enabled !== false && this.shouldQueue(channel, event, now));
+    if (queued.length === 0) {
+      return channels;
+    }
+
+    for (const channel of queued) {
+      const entry = await this.getQueue(channel.id) || { since: new Date(now).toISOString(), events: [] };
+      entry.events = compactQueue([...entry.events, event]);
+      await this.putQueue(channel.id, entry);
+    }
+
+    console.log(`Queued ${event.kind} notification for channels: ${queued.map(channel => channel.id).join(', ')}`);
+    return channels.filter(channel => !queued.includes(channel));
+  }
+
+  /**
+   * Whether a channel's queue should be sent now
+   */
+  isDue(channel, entry, now) {
+    const delivery = channel.delivery || {};
+    if (isQuietTime(delivery, now)) {
+      return false;
+    }
+
+    const since = Date.parse(entry.since);
+    switch (delivery.mode) {
+      case 'batch':
+        return now - since >= (delivery.intervalMinutes || DEFAULT_INTERVAL_MINUTES) * 60 * 1000;
+      case 'digest':
+        return getDigestDay(delivery, now) !== getDigestDay(delivery, since);
+      default:
+        return true;
+    }
+  }
+
+  /**
+   * Send the queues of `channels` that are due. Queues of disabled channels are
+   * dropped. Failed deliveries go to the outbox for retry. Returns the dispatch results.
+   */
+  async flush(channels, now = Date.now()) {
+    await this.migrate();
+
+    const results = [];
+
+    for (const channel of channels) {
+      const entry = await this.getQueue(channel.id);
+      if (!entry) {
+        continue;
+      }
+      if (channel.enabled === false) {
+        await this.kv.delete(QUEUE_KEY_PREFIX + channel.id);
+        continue;
+      }
+
+      if (!this.isDue(channel, entry, now)) {
+        continue;
+      }
+
+      const changes = entry.events.filter(event => event.kind === 'change');
+      const errors = entry.events.filter(event => event.kind === 'error');
+      const events = [];
+      if (changes.length > 0) {
+        events.push(buildBatchEvent(changes));
+      }
+      // Rule and watchlist alerts are sent as they were queued
+      events.push(...entry.events.filter(event => event.kind === 'rule' || event.kind === 'watch'));
+      // Only the latest error is worth repeating
+      if (errors.length > 0) {
+        events.push(errors[errors.length - 1]);
+      }
+
+      // Clear the queue before sending so a concurrent run can't send it twice
+      await this.kv.delete(QUEUE_KEY_PREFIX + channel.id);
+      for (const event of events) {
+        results.push(...await this.outbox.dispatch([channel], event));
+      }
+    }
+
+    return results;
+  }
+}
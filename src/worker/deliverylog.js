@@ -0,0 +1,96 @@
+/**
+ * DeliveryLog - History of notification deliveries
+ *
+ * Every delivery attempt (first try, outbox retry, digest or test) is recorded
+ * in the `notification_log` key, newest first:
+ *   { id, timestamp, channelId, type, kind, title, status, attempt,
+ *     httpStatus, latencyMs, error, payload }
+ * `payload` is the channel-specific message as JSON, cut to a few KB.
+ */
+
+import { SUBSCRIPTION_CHANNEL_PREFIX } from './subscriptions.js';
+
+const LOG_KEY = 'notification_log';
+
+const MAX_ENTRIES = 300;
+const MAX_PAYLOAD_LENGTH = 2000;
+
+export const DELIVERY_STATUSES = ['sent', 'failed'];
+
+function serializePayload(payload) {
+  if (payload === null || payload === undefined) {
+    return null;
+  }
+
+  const text = typeof payload === 'string' ? payload : JSON.stringify(payload);
+  return text.length > MAX_PAYLOAD_LENGTH ? `${text.slice(0, MAX_PAYLOAD_LENGTH)}…` : text;
+}
+
+export class DeliveryLog {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+  }
+
+  async getEntries() {
+    const data = await this.kv.get(LOG_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  /**
+   * Record dispatch results. `items` are { result, event, attempt } where
+   * `result` comes from `NotifierRegistry.dispatch`; skipped channels are ignored.
+   */
+  async record(items, now = Date.now()) {
+    const attempts = items.filter(({ result }) => result.status !== 'skipped');
+    if (attempts.length === 0) {
+      return;
+    }
+
+    const timestamp = new Date(now).toISOString();
+    const entries = attempts.map(({ result, event, attempt }) => ({
+      id: crypto.randomUUID(),
+      timestamp,
+      channelId: result.channelId,
+      type: result.type,
+      kind: event.kind,
+      title: event.title,
+      status: result.status,
+      attempt: attempt || 1,
+      httpStatus: result.httpStatus ?? null,
+      latencyMs: result.latencyMs ?? null,
+      error: result.error || null,
+      payload: serializePayload(result.payload)
+    }));
+
+    const log = await this.getEntries();
+    log.unshift(...entries);
+    await this.kv.put(LOG_KEY, JSON.stringify(log.slice(0, MAX_ENTRIES)));
+  }
+
+  /**
+   * Filter the log by channel ID, status and event kind, newest first.
+   * `redacted` leaves out subscriber deliveries and message payloads.
+   */
+  async query({ channelId, status, kind, limit, redacted = false } = {}) {
+    let entries = await this.getEntries();
+    if (redacted) {
+      entries = entries
+        .filter(entry => !String(entry.channelId).startsWith(SUBSCRIPTION_CHANNEL_PREFIX))
+        .map(({ payload, ...entry }) => entry);
+    }
+    if (channelId) {
+      entries = entries.filter(entry => entry.channelId === channelId);
+    }
+    if (status) {
+      entries = entries.filter(entry => entry.status === status);
+    }
+    if (kind) {
+      entries = entries.filter(entry => entry.kind === kind);
+    }
+
+    const parsedLimit = parseInt(limit, 10);
+    const max = Number.isNaN(parsedLimit) || parsedLimit < 1 ? 50 : Math.min(parsedLimit, MAX_ENTRIES);
+    return entries.slice(0, max);
+  }
+}
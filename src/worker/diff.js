@@ -0,0 +1,192 @@
+/**
+ * Change detection over the full OpenRouter catalog
+ *
+ * diffModels() compares two catalogs and produces a change record:
+ * {
+ *   timestamp, previousTimestamp,
+ *   summary: { added, removed, modified, becameFree, noLongerFree },
+ *   events: [{ type: 'added' | 'removed' | 'modified', modelId, name, free, wasFree, model, changes }]
+ * }
+ * `changes` lists { field, before, after } for every tracked field that differs.
+ */
+
+import { isFreeModel, summarizeModel } from './models.js';
+
+// Fields compared on every model, as dotted paths. Pricing keys are discovered per model.
+const TRACKED_FIELDS = [
+  'context_length',
+  'architecture.modality',
+  'architecture.input_modalities',
+  'architecture.output_modalities',
+  'top_provider.context_length',
+  'top_provider.max_completion_tokens',
+  'top_provider.is_moderated',
+  'supported_parameters',
+  'expiration_date'
+];
+
+function getPath(object, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+/**
+ * Normalize a field value so that equivalent values compare equal
+ * ("0" vs "0.0" prices, reordered arrays, null vs missing)
+ */
+function normalize(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (Array.isArray(value)) {
+    return JSON.stringify([...value].sort());
+  }
+  if (typeof value === 'string' && value.trim() !== '' && !Number.isNaN(Number(value))) {
+    return Number(value);
+  }
+  return value;
+}
+
+/**
+ * List the per-field differences between two versions of the same model
+ */
+export function diffModel(previous, current) {
+  const fields = [...TRACKED_FIELDS];
+  const pricingKeys = new Set([
+    ...Object.keys(previous.pricing || {}),
+    ...Object.keys(current.pricing || {})
+  ]);
+  for (const key of [...pricingKeys].sort()) {
+    fields.push('pricing.' + key);
+  }
+
+  const changes = [];
+  for (const field of fields) {
+    const before = getPath(previous, field);
+    const after = getPath(current, field);
+    if (normalize(before) !== normalize(after)) {
+      changes.push({ field, before: before ?? null, after: after ?? null });
+    }
+  }
+
+  const wasFree = isFreeModel(previous);
+  const free = isFreeModel(current);
+  if (wasFree !== free) {
+    changes.push({ field: 'free', before: wasFree, after: free });
+  }
+
+  return changes;
+}
+
+/**
+ * Compare two full model lists and build a change record
+ */
+export function diffModels(previousModels, currentModels, { timestamp, previousTimestamp } = {}) {
+  const previousById = new Map((previousModels || []).map(model => [model.id, model]));
+  const currentById = new Map((currentModels || []).map(model => [model.id, model]));
+  const events = [];
+
+  for (const [id, model] of currentById) {
+    const previous = previousById.get(id);
+    const free = isFreeModel(model);
+
+    if (!previous) {
+      events.push({ type: 'added', modelId: id, name: model.name || id, free, wasFree: false, model: summarizeModel(model) });
+      continue;
+    }
+
+    const changes = diffModel(previous, model);
+    if (changes.length > 0) {
+      events.push({
+        type: 'modified',
+        modelId: id,
+        name: model.name || id,
+        free,
+        wasFree: isFreeModel(previous),
+        model: summarizeModel(model),
+        changes
+      });
+    }
+  }
+
+  for (const [id, model] of previousById) {
+    if (!currentById.has(id)) {
+      const wasFree = isFreeModel(model);
+      events.push({ type: 'removed', modelId: id, name: model.name || id, free: false, wasFree, model: summarizeModel(model) });
+    }
+  }
+
+  const transitions = getFreeTransitions({ events });
+
+  return {
+    timestamp: timestamp || new Date().toISOString(),
+    previousTimestamp: previousTimestamp || null,
+    summary: {
+      added: events.filter(event => event.type === 'added').length,
+      removed: events.filter(event => event.type === 'removed').length,
+      modified: events.filter(event => event.type === 'modified').length,
+      becameFree: transitions.added.length,
+      noLongerFree: transitions.removed.length
+    },
+    events
+  };
+}
+
+/**
+ * Extract the models that entered or left the free tier from a change record.
+ * A model enters the free tier when it is added as free or becomes free,
+ * and leaves it when a free model is removed or stops being free.
+ */
+export function getFreeTransitions(record) {
+  const added = [];
+  const removed = [];
+
+  for (const event of record.events || []) {
+    if (event.free && !event.wasFree) {
+      added.push(event.model);
+    } else if (event.wasFree && !event.free) {
+      removed.push(event.model);
+    }
+  }
+
+  return { added, removed };
+}
+
+/**
+ * Map a changed field to the kind of change it represents
+ */
+function getChangeKind(change) {
+  if (change.field === 'free') {
+    return change.after ? 'became_free' : 'no_longer_free';
+  }
+  if (change.field.startsWith('pricing.')) {
+    return 'price_change';
+  }
+  if (change.field === 'context_length' || change.field === 'top_provider.context_length') {
+    return 'context_change';
+  }
+  if (change.field === 'expiration_date') {
+    return 'deprecation';
+  }
+  return 'other';
+}
+
+/**
+ * Classify a change event into the kinds of change it represents:
+ * 'added', 'removed', 'became_free', 'no_longer_free', 'price_change',
+ * 'context_change', 'deprecation' (expiration date set or changed) and 'other'
+ * (any remaining field change)
+ */
+export function classifyEvent(event) {
+  if (event.type === 'added' || event.type === 'removed') {
+    return [event.type];
+  }
+
+  return [...new Set((event.changes || []).map(getChangeKind))];
+}
+
+/**
+ * Get the field changes of an event that belong to one kind of change
+ */
+export function getChangesOfKind(event, kind) {
+  return (event.changes || []).filter(change => getChangeKind(change) === kind);
+}
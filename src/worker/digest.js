@@ -0,0 +1,164 @@
+/**
+ * DigestScheduler - Sends periodic change digests to digest channels
+ *
+ * Digest channels (see `BaseNotifier.digest`) ignore individual change events.
+ * On each monitoring run the scheduler checks whether a channel's daily or weekly
+ * slot has passed since its last digest and, if so, sends a summary of the change
+ * log events recorded in between. Last send times live in the `digest_state` key,
+ * together with the attempt count and next attempt time of a digest that failed,
+ * which is retried with the outbox's backoff.
+ */
+
+import { notifierRegistry } from './notifiers/index.js';
+import { buildDigestEvent } from './notifiers/event.js';
+import { getRetryDelay } from './outbox.js';
+
+const DIGEST_STATE_KEY = 'digest_state';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 500;
+
+// Upper bound on events loaded into one digest; later runs go into the next one
+const MAX_DIGEST_EVENTS = 5000;
+
+/**
+ * Most recent scheduled send time at or before `now`. Daily digests go out at
+ * `sendHour` UTC, weekly digests at the same hour on Mondays.
+ */
+export function getLastDigestSlot(now, schedule, sendHour = 0) {
+  const date = new Date(now);
+  let slot = Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), date.getUTCDate(), sendHour);
+  if (slot > now) {
+    slot -= DAY_MS;
+  }
+
+  if (schedule === 'weekly') {
+    while (new Date(slot).getUTCDay() !== 1) {
+      slot -= DAY_MS;
+    }
+  }
+
+  return slot;
+}
+
+export class DigestScheduler {
+  constructor(env, changeLog, deliveryLog) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+    this.changeLog = changeLog;
+    this.deliveryLog = deliveryLog;
+  }
+
+  async getState() {
+    const data = await this.kv.get(DIGEST_STATE_KEY);
+    return data ? JSON.parse(data) : {};
+  }
+
+  /**
+   * End of a digest period starting at `since`: `until`, or just before the
+   * first run that would push the digest past MAX_DIGEST_EVENTS
+   */
+  async getPeriodEnd(since, until) {
+    const sinceMs = Date.parse(since);
+    const untilMs = Date.parse(until);
+    let count = 0;
+
+    for (const entry of await this.changeLog.getIndex()) {
+      const time = Date.parse(entry.timestamp);
+      if (time < sinceMs || time > untilMs) {
+        continue;
+      }
+      if (count > 0 && count + entry.count > MAX_DIGEST_EVENTS) {
+        return new Date(time - 1).toISOString();
+      }
+      count += entry.count;
+    }
+
+    return until;
+  }
+
+  /**
+   * Load the change events recorded in [since, until]
+   */
+  async collectEvents(since, until) {
+    const events = [];
+    let cursor = null;
+
+    do {
+      const page = await this.changeLog.query({ since, until, limit: PAGE_SIZE, cursor });
+      events.push(...page.events);
+      cursor = page.nextCursor;
+    } while (cursor);
+
+    // The change log returns newest first; digests read oldest first
+    return events.reverse();
+  }
+
+  /**
+   * Send every digest that is due. Returns one dispatch result per digest sent.
+   */
+  async run(channels, now = Date.now()) {
+    const digestChannels = channels.filter(channel => channel.enabled !== false && notifierRegistry.isDigest(channel));
+    if (digestChannels.length === 0) {
+      return [];
+    }
+
+    const state = await this.getState();
+    const results = [];
+    let changed = false;
+
+    for (const channel of digestChannels) {
+      const config = channel.config || {};
+      const schedule = config.schedule === 'weekly' ? 'weekly' : 'daily';
+      const slot = getLastDigestSlot(now, schedule, Number(config.sendHour) || 0);
+      const entry = state[channel.id];
+      const lastSent = entry ? Date.parse(entry.lastSent) : null;
+
+      // A new channel starts counting from now instead of mailing past history
+      if (lastSent === null) {
+        state[channel.id] = { lastSent: new Date(now).toISOString() };
+        changed = true;
+        continue;
+      }
+
+      if (lastSent >= slot || (entry.nextAttemptAt && Date.parse(entry.nextAttemptAt) > now)) {
+        continue;
+      }
+
+      const since = new Date(lastSent).toISOString();
+      const until = await this.getPeriodEnd(since, new Date(now).toISOString());
+      const events = await this.collectEvents(since, until);
+
+      if (events.length > 0) {
+        const event = buildDigestEvent(events, { since, until, schedule });
+        if (Date.parse(until) < now) {
+          event.message += '（变更较多，之后的变更将在下一期摘要中发送）';
+        }
+        const attempt = (entry.attempts || 0) + 1;
+        const [result] = await notifierRegistry.dispatch([channel], event);
+        results.push(result);
+        await this.deliveryLog.record([{ result, event, attempt }], now);
+
+        // Keep the period and retry it after a backoff
+        if (result.status === 'failed') {
+          state[channel.id] = {
+            lastSent: entry.lastSent,
+            attempts: attempt,
+            nextAttemptAt: new Date(now + getRetryDelay(attempt)).toISOString()
+          };
+          changed = true;
+          continue;
+        }
+      }
+
+      state[channel.id] = { lastSent: until };
+      changed = true;
+    }
+
+    if (changed) {
+      await this.kv.put(DIGEST_STATE_KEY, JSON.stringify(state));
+    }
+
+    return results;
+  }
+}
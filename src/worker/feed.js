@@ -0,0 +1,117 @@
+/**
+ * Atom and RSS rendering for change log events
+ */
+
+import { classifyEvent, getChangesOfKind } from './diff.js';
+
+// Change kinds that are published to the feeds
+export const FEED_KINDS = ['added', 'removed', 'price_change', 'became_free', 'no_longer_free'];
+
+const KIND_LABELS = {
+  added: '新增模型',
+  removed: '下架模型',
+  price_change: '价格变动',
+  became_free: '变为免费',
+  no_longer_free: '不再免费'
+};
+
+function escapeXml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Check whether an event should appear in the feeds
+ */
+export function isFeedEvent(event) {
+  return classifyEvent(event).some(kind => FEED_KINDS.includes(kind));
+}
+
+/**
+ * Build a feed entry (title, summary, link, GUID) from a change event
+ */
+function buildEntry(event, baseUrl) {
+  const kinds = classifyEvent(event).filter(kind => FEED_KINDS.includes(kind));
+  const title = `${kinds.map(kind => KIND_LABELS[kind]).join(' / ')}: ${event.name} (${event.modelId})`;
+
+  const lines = [];
+  if (event.type === 'added' || event.type === 'removed') {
+    const pricing = event.model.pricing || {};
+    lines.push(`免费: ${event.type === 'added' ? (event.free ? '是' : '否') : (event.wasFree ? '是' : '否')}`);
+    lines.push(`输入价格: ${pricing.prompt ?? '未知'}`);
+    lines.push(`输出价格: ${pricing.completion ?? '未知'}`);
+    if (event.model.context_length) {
+      lines.push(`上下文长度: ${event.model.context_length}`);
+    }
+  } else {
+    for (const kind of kinds) {
+      for (const change of getChangesOfKind(event, kind)) {
+        lines.push(`${change.field}: ${change.before} → ${change.after}`);
+      }
+    }
+  }
+
+  return {
+    id: `urn:openrouter-monitor:change:${event.id}`,
+    title,
+    summary: lines.join('\n'),
+    link: `${baseUrl}/api/models/${event.modelId}`,
+    updated: event.timestamp
+  };
+}
+
+/**
+ * Render change events as an Atom 1.0 feed
+ */
+export function renderAtomFeed(events, { baseUrl, selfUrl, title }) {
+  const entries = events.map(event => buildEntry(event, baseUrl));
+  const updated = entries.length > 0 ? entries[0].updated : new Date().toISOString();
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <id>urn:openrouter-monitor:feed</id>
+  <title>${escapeXml(title)}</title>
+  <updated>${escapeXml(updated)}</updated>
+  <link rel="self" href="${escapeXml(selfUrl)}"/>
+  <link rel="alternate" href="${escapeXml(baseUrl)}/"/>
+  <generator>OpenRouter-Monitor</generator>
+${entries.map(entry => `  <entry>
+    <id>${escapeXml(entry.id)}</id>
+    <title>${escapeXml(entry.title)}</title>
+    <updated>${escapeXml(entry.updated)}</updated>
+    <link href="${escapeXml(entry.link)}"/>
+    <author><name>OpenRouter Monitor</name></author>
+    <summary type="text">${escapeXml(entry.summary)}</summary>
+  </entry>`).join('\n')}
+</feed>`;
+}
+
+/**
+ * Render change events as an RSS 2.0 feed
+ */
+export function renderRssFeed(events, { baseUrl, selfUrl, title }) {
+  const entries = events.map(event => buildEntry(event, baseUrl));
+  const lastBuild = entries.length > 0 ? entries[0].updated : new Date().toISOString();
+
+  return `<?xml version="1.0" encoding="utf-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">
+  <channel>
+    <title>${escapeXml(title)}</title>
+    <link>${escapeXml(baseUrl)}/</link>
+    <description>OpenRouter 模型新增、下架与价格变动</description>
+    <lastBuildDate>${new Date(lastBuild).toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(selfUrl)}" rel="self" type="application/rss+xml"/>
+${entries.map(entry => `    <item>
+      <title>${escapeXml(entry.title)}</title>
+      <link>${escapeXml(entry.link)}</link>
+      <guid isPermaLink="false">${escapeXml(entry.id)}</guid>
+      <pubDate>${new Date(entry.updated).toUTCString()}</pubDate>
+      <description>${escapeXml(entry.summary)}</description>
+    </item>`).join('\n')}
+  </channel>
+</rss>`;
+}
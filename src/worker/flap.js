@@ -0,0 +1,145 @@
+/**
+ * FlapGuard - Debounces models that briefly disappear from the catalog
+ *
+ * OpenRouter occasionally omits a model from a single `/api/v1/models` response.
+ * A missing model is kept in the tracked catalog until it has been missing for
+ * `removalGraceRuns` consecutive runs or `removalGraceMinutes` minutes (whichever
+ * comes first), so the diff only reports removals that stick. Models that come
+ * back within the grace period are counted as flaps.
+ *
+ * Per-model state lives in the `model_presence` key:
+ *   { [modelId]: { missingSince, missingRuns, model, flaps, lastFlapAt } }
+ */
+
+const PRESENCE_KEY = 'model_presence';
+
+export const DEFAULT_REMOVAL_GRACE_RUNS = 2;
+export const DEFAULT_REMOVAL_GRACE_MINUTES = 0;
+
+// How long a recovered model keeps its flapping indicator
+const FLAP_INDICATOR_MS = 24 * 60 * 60 * 1000;
+
+// Flap history older than this is dropped
+const FLAP_HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Read the grace period from app settings, falling back to the defaults
+ */
+export function getGracePeriod(settings = {}) {
+  const runs = parseInt(settings.removalGraceRuns, 10);
+  const minutes = parseInt(settings.removalGraceMinutes, 10);
+  return {
+    runs: Number.isNaN(runs) ? DEFAULT_REMOVAL_GRACE_RUNS : runs,
+    minutes: Number.isNaN(minutes) ? DEFAULT_REMOVAL_GRACE_MINUTES : minutes
+  };
+}
+
+/**
+ * Whether a model has flapped recently or is currently missing within its grace period
+ */
+function isFlapping(entry, now) {
+  return Boolean(entry.missingSince) || (entry.lastFlapAt && now - Date.parse(entry.lastFlapAt) < FLAP_INDICATOR_MS);
+}
+
+export class FlapGuard {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+  }
+
+  async getState() {
+    const data = await this.kv.get(PRESENCE_KEY);
+    return data ? JSON.parse(data) : {};
+  }
+
+  /**
+   * Merge models still within their grace period back into the fetched catalog.
+   * Returns { models, held } where `held` lists the IDs kept despite being missing.
+   */
+  async apply(previousModels, currentModels, timestamp, grace = getGracePeriod()) {
+    const state = await this.getState();
+    const now = Date.parse(timestamp);
+    const currentIds = new Set(currentModels.map(model => model.id));
+    const held = [];
+    let changed = false;
+
+    // Models that came back before their removal counted
+    for (const [id, entry] of Object.entries(state)) {
+      if (entry.missingSince && currentIds.has(id)) {
+        state[id] = { flaps: (entry.flaps || 0) + 1, lastFlapAt: timestamp };
+        changed = true;
+      } else if (!entry.missingSince && (!entry.lastFlapAt || now - Date.parse(entry.lastFlapAt) > FLAP_HISTORY_MS)) {
+        delete state[id];
+        changed = true;
+      }
+    }
+
+    for (const model of previousModels) {
+      if (currentIds.has(model.id)) {
+        continue;
+      }
+
+      const entry = state[model.id] || { flaps: 0 };
+      if (!entry.missingSince) {
+        entry.missingSince = timestamp;
+        entry.missingRuns = 0;
+      }
+      entry.missingRuns += 1;
+
+      const missingMinutes = (now - Date.parse(entry.missingSince)) / 60000;
+      const expired = (grace.runs <= 1 && grace.minutes <= 0) ||
+        (grace.runs > 0 && entry.missingRuns >= grace.runs) ||
+        (grace.minutes > 0 && missingMinutes >= grace.minutes);
+
+      if (expired) {
+        // The removal counts; keep only the flap history
+        delete entry.missingSince;
+        delete entry.missingRuns;
+        delete entry.model;
+        if (entry.flaps) {
+          state[model.id] = entry;
+        } else {
+          delete state[model.id];
+        }
+      } else {
+        entry.model = model;
+        state[model.id] = entry;
+        held.push(model);
+      }
+      changed = true;
+    }
+
+    if (changed) {
+      await this.kv.put(PRESENCE_KEY, JSON.stringify(state));
+    }
+
+    return {
+      models: held.length > 0 ? [...currentModels, ...held] : currentModels,
+      held: held.map(model => model.id)
+    };
+  }
+
+  /**
+   * Models currently missing within their grace period or recently recovered:
+   * { [modelId]: { missing, missingSince, missingRuns, flaps, lastFlapAt } }
+   */
+  async getFlapping(now = Date.now()) {
+    const state = await this.getState();
+    const flapping = {};
+
+    for (const [id, entry] of Object.entries(state)) {
+      if (!isFlapping(entry, now)) {
+        continue;
+      }
+      flapping[id] = {
+        missing: Boolean(entry.missingSince),
+        missingSince: entry.missingSince || null,
+        missingRuns: entry.missingRuns || 0,
+        flaps: entry.flaps || 0,
+        lastFlapAt: entry.lastFlapAt || null
+      };
+    }
+
+    return flapping;
+  }
+}
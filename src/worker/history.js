@@ -0,0 +1,198 @@
+/**
+ * SnapshotStore - Persists timestamped catalog snapshots with tiered retention
+ *
+ * Each monitoring run may write a `snapshot:<timestamp>` key. The `snapshots_index`
+ * key holds a sorted list of lightweight entries so runs can be listed without
+ * loading every snapshot.
+ */
+
+const SNAPSHOT_KEY_PREFIX = 'snapshot:';
+const SNAPSHOT_INDEX_KEY = 'snapshots_index';
+
+// Keep hourly snapshots for 7 days and daily snapshots for a year
+const DEFAULT_RETENTION = '1h:7d,1d:365d';
+
+const UNIT_MS = {
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+/**
+ * Parse a duration such as "30m", "1h" or "7d" into milliseconds
+ */
+function parseDuration(value) {
+  const match = /^(\d+)\s*([mhdw])$/i.exec(String(value).trim());
+  if (!match) {
+    return null;
+  }
+
+  const amount = parseInt(match[1], 10);
+  return amount > 0 ? amount * UNIT_MS[match[2].toLowerCase()] : null;
+}
+
+/**
+ * Parse a retention policy string into tiers sorted from finest to coarsest.
+ * Format: comma separated "<bucket>:<maxAge>" pairs, e.g. "1h:7d,1d:365d"
+ */
+export function parseRetentionPolicy(policy) {
+  const tiers = [];
+
+  for (const part of String(policy || DEFAULT_RETENTION).split(',')) {
+    if (!part.trim()) {
+      continue;
+    }
+
+    const [bucket, maxAge] = part.split(':');
+    const bucketMs = parseDuration(bucket);
+    const maxAgeMs = parseDuration(maxAge);
+
+    if (!bucketMs || !maxAgeMs) {
+      console.warn(`Ignoring invalid snapshot retention tier: ${part}`);
+      continue;
+    }
+
+    tiers.push({ bucketMs, maxAgeMs });
+  }
+
+  if (tiers.length === 0) {
+    return parseRetentionPolicy(DEFAULT_RETENTION);
+  }
+
+  return tiers.sort((a, b) => a.bucketMs - b.bucketMs);
+}
+
+export class SnapshotStore {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+    this.retention = parseRetentionPolicy(env.SNAPSHOT_RETENTION);
+  }
+
+  /**
+   * Store a snapshot if the finest retention bucket has none yet, then prune
+   */
+  async saveSnapshot(data) {
+    const index = await this.getIndex();
+    const timestamp = Date.parse(data.timestamp);
+    const finestBucketMs = this.retention[0].bucketMs;
+    const latest = index[index.length - 1];
+
+    if (latest && Math.floor(Date.parse(latest.timestamp) / finestBucketMs) === Math.floor(timestamp / finestBucketMs)) {
+      return null;
+    }
+
+    const entry = {
+      id: data.timestamp,
+      timestamp: data.timestamp,
+      totalModels: data.totalModels || 0,
+      freeModels: (data.freeModels || []).length
+    };
+
+    await this.kv.put(SNAPSHOT_KEY_PREFIX + entry.id, JSON.stringify(data));
+    index.push(entry);
+
+    const { kept, expired } = this.applyRetention(index, timestamp);
+    await this.kv.put(SNAPSHOT_INDEX_KEY, JSON.stringify(kept));
+    await Promise.all(expired.map(item => this.kv.delete(SNAPSHOT_KEY_PREFIX + item.id)));
+
+    return entry;
+  }
+
+  /**
+   * Split index entries into kept and expired according to the retention tiers.
+   * An entry survives if it is the first snapshot of its bucket in any tier
+   * whose max age still covers it. The newest entry is always kept.
+   */
+  applyRetention(index, now = Date.now()) {
+    const keepIds = new Set();
+
+    for (const tier of this.retention) {
+      const seenBuckets = new Set();
+
+      for (const entry of index) {
+        const time = Date.parse(entry.timestamp);
+        if (now - time > tier.maxAgeMs) {
+          continue;
+        }
+
+        const bucket = Math.floor(time / tier.bucketMs);
+        if (!seenBuckets.has(bucket)) {
+          seenBuckets.add(bucket);
+          keepIds.add(entry.id);
+        }
+      }
+    }
+
+    if (index.length > 0) {
+      keepIds.add(index[index.length - 1].id);
+    }
+
+    return {
+      kept: index.filter(entry => keepIds.has(entry.id)),
+      expired: index.filter(entry => !keepIds.has(entry.id))
+    };
+  }
+
+  /**
+   * Get the snapshot index, oldest first
+   */
+  async getIndex() {
+    try {
+      const data = await this.kv.get(SNAPSHOT_INDEX_KEY);
+      return data ? JSON.parse(data) : [];
+    } catch (error) {
+      console.error('Error retrieving snapshot index:', error);
+      return [];
+    }
+  }
+
+  /**
+   * List snapshot entries, newest first, optionally bounded by time
+   */
+  async listSnapshots({ since, until, limit } = {}) {
+    const sinceMs = since ? Date.parse(since) : null;
+    const untilMs = until ? Date.parse(until) : null;
+
+    const entries = (await this.getIndex()).filter(entry => {
+      const time = Date.parse(entry.timestamp);
+      if (sinceMs && time < sinceMs) return false;
+      if (untilMs && time > untilMs) return false;
+      return true;
+    }).reverse();
+
+    return limit ? entries.slice(0, limit) : entries;
+  }
+
+  /**
+   * Get a snapshot by its index entry ID
+   */
+  async getSnapshot(id) {
+    const data = await this.kv.get(SNAPSHOT_KEY_PREFIX + id);
+    return data ? JSON.parse(data) : null;
+  }
+
+  /**
+   * Get the snapshot that was current at the given time
+   * (the newest snapshot taken at or before it)
+   */
+  async getSnapshotAt(time) {
+    const target = Date.parse(time);
+    if (Number.isNaN(target)) {
+      return null;
+    }
+
+    const index = await this.getIndex();
+    let match = null;
+    for (const entry of index) {
+      if (Date.parse(entry.timestamp) <= target) {
+        match = entry;
+      } else {
+        break;
+      }
+    }
+
+    return match ? this.getSnapshot(match.id) : null;
+  }
+}
@@ -4,7 +4,7 @@
  */
 
 import { ModelMonitor } from './monitor.js';
-import { WebInterface } from './web.js';
+import { WebInterface, withPathSegment } from './web.js';
 
 export default {
   async fetch(request, env, ctx) {
@@ -20,9 +20,32 @@ export default {
       if (path === '/api/models') {
         // API endpoint to get all models data
         return await webInterface.getModelsApi(request);
+      } else if (path.startsWith('/api/models/')) {
+        // API endpoint to get one model and its timeline (IDs may contain slashes)
+        return await withPathSegment(path.slice('/api/models/'.length), modelId => webInterface.getModelDetailApi(modelId));
+      } else if (path === '/v1/models' || path === '/v1/free/models') {
+        // OpenAI-compatible model list; /v1/free is a base URL that only lists free models
+        return await webInterface.getOpenAIModelsApi(request, { freeOnly: path === '/v1/free/models' });
+      } else if (path.startsWith('/v1/models/') || path.startsWith('/v1/free/models/')) {
+        // OpenAI-compatible retrieve-model endpoint (IDs contain slashes)
+        const freeOnly = path.startsWith('/v1/free/');
+        const prefix = freeOnly ? '/v1/free/models/' : '/v1/models/';
+        return await withPathSegment(path.slice(prefix.length), modelId => webInterface.getOpenAIModelsApi(request, { freeOnly, modelId }));
+      } else if (path === '/api/changes') {
+        // API endpoint to query added, removed and modified model events
+        return await webInterface.getChangesApi(request);
+      } else if (path === '/api/recommend') {
+        // Ranked free models for the given requirements plus a fallback chain
+        return await webInterface.getRecommendApi(request);
       } else if (path === '/api/free-models') {
         // API endpoint to get only free models
         return await webInterface.getFreeModelsApi(request);
+      } else if (path === '/api/snapshots') {
+        // API endpoint to list stored catalog snapshots
+        return await webInterface.getSnapshotsApi(request);
+      } else if (path.startsWith('/api/snapshots/')) {
+        // API endpoint to get the catalog as it was at a given time
+        return await withPathSegment(path.slice('/api/snapshots/'.length), time => webInterface.getSnapshotApi(time));
       } else if (path === '/api/monitor/run') {
         // Manual trigger for monitoring (for testing)
         return await monitor.runMonitoring();
@@ -32,9 +55,33 @@ export default {
       } else if (path === '/api/settings') {
         // Settings endpoint
         return await webInterface.handleSettings(request);
+      } else if (path === '/api/watchlist') {
+        // Watched models (GET), watch / unwatch with authentication (POST / DELETE)
+        return await webInterface.handleWatchlist(request);
+      } else if (path === '/api/notifications') {
+        // Notification delivery log, with payloads only when authenticated (POST)
+        return await webInterface.getNotificationsApi(request);
+      } else if (path === '/api/notifications/failures') {
+        // Dead-lettered and pending notification retries (GET redacted, POST with authentication), clear with authentication (DELETE)
+        return await webInterface.handleNotificationFailures(request);
+      } else if (path === '/api/subscriptions' || path.startsWith('/api/subscriptions/')) {
+        // Public subscriptions, managed with the token returned on creation
+        return await webInterface.handleSubscriptions(request, path.slice('/api/subscriptions'.length));
       } else if (path === '/api/test/bark') {
         // Test Bark notification endpoint
         return await webInterface.testBarkNotification();
+      } else if (path === '/api/test/notify') {
+        // Test notification channels (?channel=<id> for a single one)
+        return await webInterface.testNotification(request);
+      } else if (path === '/feed.xml') {
+        // Atom feed of model changes
+        return await webInterface.serveFeed(request, 'atom');
+      } else if (path === '/feed.rss') {
+        // RSS feed of model changes
+        return await webInterface.serveFeed(request, 'rss');
+      } else if (path === '/api/export' || path.startsWith('/api/export/')) {
+        // Client config snippets for the current free models
+        return await withPathSegment(path.slice('/api/export/'.length), format => webInterface.serveExport(request, format));
       } else if (path.startsWith('/api/')) {
         // Unknown API endpoint
         return new Response('API endpoint not found', { status: 404 });
@@ -56,6 +103,9 @@ export default {
     const kv = env.OPENROUTER_KV;
 
     try {
+      // Failed notifications are retried on every tick, even when monitoring is skipped
+      await new ModelMonitor(env).retryFailedNotifications();
+
       // Determine desired monitoring interval (default 5 minutes)
       let intervalMinutes = 5;
 
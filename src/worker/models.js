@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for working with OpenRouter model records
+ */
+
+/**
+ * Check whether a model is free
+ * Free models are:
+ * 1. Models with :free suffix
+ * 2. Models with pricing.prompt = "0" and pricing.completion = "0"
+ */
+export function isFreeModel(model) {
+  // Check if model ID ends with :free
+  if (model.id && model.id.endsWith(':free')) {
+    return true;
+  }
+
+  // Check if pricing indicates free (0 cost)
+  if (model.pricing) {
+    const promptPrice = parseFloat(model.pricing.prompt || '0');
+    const completionPrice = parseFloat(model.pricing.completion || '0');
+
+    // Model is free if both prompt and completion are 0
+    if (promptPrice === 0 && completionPrice === 0) {
+      return true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * Get the provider slug of a model, e.g. "google" for "google/gemma-2-9b-it:free"
+ */
+export function getProvider(modelId) {
+  const slash = (modelId || '').indexOf('/');
+  return slash > 0 ? modelId.slice(0, slash) : '';
+}
+
+/**
+ * Reduce a model record to the fields that change events and notifications need
+ */
+export function summarizeModel(model) {
+  return {
+    id: model.id,
+    name: model.name || model.id,
+    context_length: model.context_length ?? null,
+    pricing: model.pricing || {},
+    architecture: model.architecture || {},
+    top_provider: model.top_provider || {},
+    supported_parameters: model.supported_parameters || []
+  };
+}
+
+/**
+ * Convert a model record to an OpenAI list-models entry
+ */
+export function toOpenAIModel(model) {
+  return {
+    id: model.id,
+    object: 'model',
+    created: parseInt(model.created, 10) || 0,
+    owned_by: getProvider(model.id) || 'openrouter'
+  };
+}
@@ -1,3 +1,18 @@
+import { SnapshotStore } from './history.js';
+import { ChangeLog } from './changelog.js';
+import { DigestScheduler } from './digest.js';
+import { DeliveryScheduler } from './delivery.js';
+import { NotificationOutbox } from './outbox.js';
+import { DeliveryLog } from './deliverylog.js';
+import { FlapGuard, getGracePeriod } from './flap.js';
+import { evaluateRules } from './rules.js';
+import { Watchlist } from './watchlist.js';
+import { SubscriptionStore } from './subscriptions.js';
+import { diffModels } from './diff.js';
+import { isFreeModel } from './models.js';
+import { notifierRegistry, getStoredChannels } from './notifiers/index.js';
+import { buildChangeEvent, buildErrorEvent, buildTestEvent, buildRuleEvent, buildWatchEvent } from './notifiers/event.js';
+
 /**
  * ModelMonitor - Handles OpenRouter API monitoring and change detection
  */
@@ -5,6 +20,15 @@ export class ModelMonitor {
   constructor(env) {
     this.env = env;
     this.kv = env.OPENROUTER_KV;
+    this.snapshots = new SnapshotStore(env);
+    this.changeLog = new ChangeLog(env);
+    this.deliveryLog = new DeliveryLog(env);
+    this.digests = new DigestScheduler(env, this.changeLog, this.deliveryLog);
+    this.outbox = new NotificationOutbox(env, this.deliveryLog);
+    this.delivery = new DeliveryScheduler(env, this.outbox);
+    this.flapGuard = new FlapGuard(env);
+    this.watchlist = new Watchlist(env);
+    this.subscriptions = new SubscriptionStore(env, this.outbox);
     this.barkUrl = env.BARK_API_URL;
     this.openrouterApiKey = env.OPENROUTER_API_KEY;
     this.openrouterApiUrl = 'https://openrouter.ai/api/v1/models';
@@ -18,38 +42,59 @@ export class ModelMonitor {
       console.log('Starting OpenRouter models monitoring...');
 
       // Fetch current models from OpenRouter API
-      const currentModels = await this.fetchOpenRouterModels();
+      const fetchedModels = await this.fetchOpenRouterModels();
       
-      if (!currentModels || currentModels.length === 0) {
+      if (!fetchedModels || fetchedModels.length === 0) {
         throw new Error('No models received from OpenRouter API');
       }
 
       // Get previously stored models
       const previousData = await this.getPreviousModelsData();
+      const timestamp = new Date().toISOString();
+
+      // Keep briefly missing models until their removal is confirmed
+      const trackedModels = await this.applyFlapGuard(previousData, fetchedModels, timestamp);
       
       // Identify free models in current data
-      const currentFreeModels = this.identifyFreeModels(currentModels);
+      const currentFreeModels = this.identifyFreeModels(trackedModels);
       
       // Store current data
       await this.storeModelsData({
-        timestamp: new Date().toISOString(),
-        totalModels: currentModels.length,
+        timestamp,
+        totalModels: trackedModels.length,
         freeModels: currentFreeModels,
-        allModels: currentModels
+        allModels: trackedModels
       });
 
+      await this.updateFirstSeen(trackedModels, timestamp);
+
+      // Send batches and notifications held back by quiet hours before queueing new ones
+      await this.flushQueuedNotifications();
+
       // Compare with previous data and send notifications if changes detected
-      if (previousData && previousData.freeModels) {
-        await this.detectAndNotifyChanges(previousData.freeModels, currentFreeModels);
+      let changeRecord = null;
+      if (previousData && previousData.allModels) {
+        changeRecord = diffModels(previousData.allModels, trackedModels, {
+          timestamp,
+          previousTimestamp: previousData.timestamp
+        });
+        await this.recordChanges(changeRecord);
+        await this.detectAndNotifyChanges(changeRecord);
+        await this.notifyRuleMatches(changeRecord);
+        await this.notifyWatchedChanges(changeRecord);
+        await this.notifySubscribers(changeRecord);
       }
 
-      console.log(`Monitoring complete. Found ${currentFreeModels.length} free models out of ${currentModels.length} total models.`);
+      await this.sendDueDigests();
+
+      console.log(`Monitoring complete. Found ${currentFreeModels.length} free models out of ${trackedModels.length} total models.`);
 
       return new Response(JSON.stringify({
         success: true,
         message: 'Monitoring completed successfully',
-        totalModels: currentModels.length,
+        totalModels: trackedModels.length,
         freeModels: currentFreeModels.length,
+        changes: changeRecord ? changeRecord.summary : null,
         timestamp: new Date().toISOString()
       }), {
         headers: { 'Content-Type': 'application/json' }
@@ -58,14 +103,8 @@ export class ModelMonitor {
     } catch (error) {
       console.error('Monitoring error:', error);
       
-      // Send error notification via Bark if configured
-      if (this.barkUrl) {
-        await this.sendBarkNotification(
-          'OpenRouter Monitor Error',
-          `Monitoring failed: ${error.message}`,
-          'error'
-        );
-      }
+      // Send error notification to the configured channels
+      await this.notify(buildErrorEvent(error));
 
       return new Response(JSON.stringify({
         success: false,
@@ -112,25 +151,7 @@ export class ModelMonitor {
    * 2. Models with pricing.prompt = "0" or pricing.completion = "0"
    */
   identifyFreeModels(models) {
-    return models.filter(model => {
-      // Check if model ID ends with :free
-      if (model.id && model.id.endsWith(':free')) {
-        return true;
-      }
-
-      // Check if pricing indicates free (0 cost)
-      if (model.pricing) {
-        const promptPrice = parseFloat(model.pricing.prompt || '0');
-        const completionPrice = parseFloat(model.pricing.completion || '0');
-        
-        // Model is free if both prompt and completion are 0
-        if (promptPrice === 0 && completionPrice === 0) {
-          return true;
-        }
-      }
-
-      return false;
-    });
+    return models.filter(isFreeModel);
   }
 
   /**
@@ -147,7 +168,29 @@ export class ModelMonitor {
   }
 
   /**
-   * Store current models data
+   * Add models that are missing from this fetch but still within their removal
+   * grace period, so a one-off omission doesn't show up as a removal
+   */
+  async applyFlapGuard(previousData, fetchedModels, timestamp) {
+    if (!previousData || !previousData.allModels) {
+      return fetchedModels;
+    }
+
+    try {
+      const settings = await this.getSettings();
+      const { models, held } = await this.flapGuard.apply(previousData.allModels, fetchedModels, timestamp, getGracePeriod(settings));
+      if (held.length > 0) {
+        console.log(`Holding ${held.length} missing models within the removal grace period: ${held.join(', ')}`);
+      }
+      return models;
+    } catch (error) {
+      console.error('Error applying removal grace period:', error);
+      return fetchedModels;
+    }
+  }
+
+  /**
+   * Store current models data as the latest snapshot and in the rolling history
    */
   async storeModelsData(data) {
     try {
@@ -158,167 +201,289 @@ export class ModelMonitor {
       console.error('Error storing models data:', error);
       throw error;
     }
+
+    // History is best-effort: a failure here should not fail the monitoring run
+    try {
+      await this.snapshots.saveSnapshot(data);
+    } catch (error) {
+      console.error('Error storing models snapshot:', error);
+    }
   }
 
   /**
-   * Detect changes in free models and send notifications
+   * Record when each model was first observed by the monitor
    */
-  async detectAndNotifyChanges(previousFreeModels, currentFreeModels) {
-    const previousIds = new Set(previousFreeModels.map(m => m.id));
-    const currentIds = new Set(currentFreeModels.map(m => m.id));
-
-    // Find added models
-    const addedModels = currentFreeModels.filter(model => !previousIds.has(model.id));
-    
-    // Find removed models
-    const removedModels = previousFreeModels.filter(model => !currentIds.has(model.id));
-
-    // Send notifications if there are changes
-    if (addedModels.length > 0 || removedModels.length > 0) {
-      await this.sendChangeNotification(addedModels, removedModels);
+  async updateFirstSeen(models, timestamp) {
+    try {
+      const data = await this.kv.get('model_first_seen');
+      const firstSeen = data ? JSON.parse(data) : {};
+      let changed = false;
+
+      for (const model of models) {
+        if (model.id && !firstSeen[model.id]) {
+          firstSeen[model.id] = timestamp;
+          changed = true;
+        }
+      }
+
+      // Only write when new models appear to keep KV writes low
+      if (changed) {
+        await this.kv.put('model_first_seen', JSON.stringify(firstSeen));
+      }
+    } catch (error) {
+      console.error('Error updating first seen times:', error);
     }
   }
 
   /**
-   * Send notification about free model changes via Bark
+   * Append a change record to the change log
    */
-  async sendChangeNotification(addedModels, removedModels) {
-    // 先尝试使用环境变量中的 Bark URL，如果没有则从 KV 设置中获取
-    let barkUrl = this.barkUrl;
-    if (!barkUrl) {
-      barkUrl = await this.getBarkUrlFromSettings();
+  async recordChanges(changeRecord) {
+    // The change log is best-effort: a failure here should not block notifications
+    try {
+      await this.changeLog.record(changeRecord);
+    } catch (error) {
+      console.error('Error recording model changes:', error);
     }
-    
-    if (!barkUrl) {
-      console.log('Bark URL not configured, skipping notification');
+  }
+
+  /**
+   * Send notifications for the changes found in a change record
+   */
+  async detectAndNotifyChanges(changeRecord) {
+    if (changeRecord.events.length === 0) {
       return;
     }
 
-    let content = '';
-    const addedNames = [];
-    const removedNames = [];
-    
-    if (addedModels.length > 0) {
-      addedModels.forEach(model => {
-        addedNames.push(model.name || model.id);
-      });
+    await this.notify(buildChangeEvent(changeRecord));
+  }
+
+  /**
+   * Send an alert to each rule's channels for the change events matching the rule
+   */
+  async notifyRuleMatches(changeRecord) {
+    if (changeRecord.events.length === 0) {
+      return;
     }
 
-    if (removedModels.length > 0) {
-      removedModels.forEach(model => {
-        removedNames.push(model.name || model.id);
-      });
+    // Rule alerts are best-effort: a failure here should not fail the monitoring run
+    try {
+      const settings = await this.getSettings();
+      for (const { rule, events } of evaluateRules(settings.rules, changeRecord)) {
+        console.log(`Rule ${rule.id} matched ${events.length} change events`);
+        await this.notify(buildRuleEvent(rule, events, changeRecord), rule.channels);
+      }
+    } catch (error) {
+      console.error('Error evaluating notification rules:', error);
     }
+  }
 
-    // 构建内容格式：新增免费模型：a,b；失效免费模型：c,d
-    const parts = [];
-    if (addedNames.length > 0) {
-      parts.push(`新增免费模型：${addedNames.join(',')}`);
+  /**
+   * Alert on any change to a watched model, free or not
+   */
+  async notifyWatchedChanges(changeRecord) {
+    if (changeRecord.events.length === 0) {
+      return;
     }
-    if (removedNames.length > 0) {
-      parts.push(`失效免费模型：${removedNames.join(',')}`);
+
+    try {
+      const watched = await this.watchlist.getIds();
+      const events = changeRecord.events.filter(event => watched.has(event.modelId));
+      if (events.length > 0) {
+        await this.notify(buildWatchEvent(events, changeRecord));
+      }
+    } catch (error) {
+      console.error('Error checking watched models:', error);
     }
-    content = parts.join('；');
+  }
 
-    // 使用获取的 barkUrl
-    const originalBarkUrl = this.barkUrl;
-    this.barkUrl = barkUrl;
-    
+  /**
+   * Fan the changes out to public subscriptions
+   */
+  async notifySubscribers(changeRecord) {
+    // Subscriber delivery is best-effort: a failure here should not fail the monitoring run
     try {
-      await this.sendBarkNotification('OpenRouter免费模型更新', content, 'update');
-    } finally {
-      this.barkUrl = originalBarkUrl;
+      await this.subscriptions.fanOut(changeRecord);
+    } catch (error) {
+      console.error('Error notifying subscribers:', error);
     }
   }
 
   /**
-   * 测试 Bark 推送功能
+   * Send queued notifications whose batch interval, digest time or quiet hours have passed
    */
-  async testBarkNotification() {
-    // 从 KV 设置中获取 Bark URL
-    const barkUrl = await this.getBarkUrlFromSettings();
-    if (!barkUrl) {
-      throw new Error('Bark API URL 未配置，请在设置中配置');
+  async flushQueuedNotifications() {
+    // Queued delivery is best-effort: a failure here should not fail the monitoring run
+    try {
+      const channels = await this.getNotificationChannels();
+      await this.delivery.flush(channels);
+    } catch (error) {
+      console.error('Error flushing queued notifications:', error);
     }
+  }
 
-    // 模拟一些测试数据
-    const mockAddedModels = [
-      { id: 'test-model-1:free', name: 'Test Model 1 Free' },
-      { id: 'test-model-2:free', name: 'Test Model 2 Free' }
-    ];
-    
-    const mockRemovedModels = [
-      { id: 'old-model-1:free', name: 'Old Model 1 Free' },
-      { id: 'old-model-2:free', name: 'Old Model 2 Free' }
-    ];
-
-    // 使用从设置中获取的 Bark URL
-    const originalBarkUrl = this.barkUrl;
-    this.barkUrl = barkUrl;
-    
+  /**
+   * Retry failed notifications whose backoff has elapsed. Runs on every cron
+   * tick, independent of the monitoring interval.
+   */
+  async retryFailedNotifications() {
+    // Retries are best-effort: a failure here is picked up by the next tick
     try {
-      // 发送测试通知
-      await this.sendChangeNotification(mockAddedModels, mockRemovedModels);
-      
-      return {
-        success: true,
-        message: '测试推送已发送',
-        barkUrl: barkUrl.replace(/\/[^/]+\/$/, '/****/'), // 隐藏API key
-        testData: {
-          added: mockAddedModels.map(m => m.name || m.id),
-          removed: mockRemovedModels.map(m => m.name || m.id)
-        }
-      };
-    } finally {
-      // 恢复原始 Bark URL
-      this.barkUrl = originalBarkUrl;
+      const channels = await this.getNotificationChannels();
+      await this.outbox.retry(async channelId =>
+        channels.find(channel => channel.id === channelId) || await this.subscriptions.getChannel(channelId)
+      );
+    } catch (error) {
+      console.error('Error retrying notifications:', error);
     }
   }
 
   /**
-   * 从 KV 设置中获取 Bark URL
+   * Send daily / weekly digests whose slot has passed
    */
-  async getBarkUrlFromSettings() {
+  async sendDueDigests() {
+    // Digests are best-effort: a failure here should not fail the monitoring run
     try {
-      const settings = await this.kv.get('app_settings');
-      if (settings) {
-        const parsedSettings = JSON.parse(settings);
-        return parsedSettings.barkBaseUrl || null;
+      const channels = await this.getNotificationChannels();
+      await this.digests.run(channels);
+    } catch (error) {
+      console.error('Error sending digests:', error);
+    }
+  }
+
+  /**
+   * Dispatch an event to the configured notification channels. Channels in batch
+   * or digest mode, or in quiet hours, get the event queued instead.
+   * Never throws: channel failures are logged, returned as results and retried
+   * through the outbox.
+   */
+  async notify(event, channelIds = null) {
+    try {
+      let channels = await this.getNotificationChannels();
+      if (channelIds) {
+        channels = channels.filter(channel => channelIds.includes(channel.id));
       }
-      return null;
+
+      if (channels.length === 0) {
+        console.log('No notification channels configured, skipping notification');
+        return [];
+      }
+
+      channels = await this.delivery.route(channels, event);
+      return await this.outbox.dispatch(channels, event);
     } catch (error) {
-      console.error('Error getting Bark URL from settings:', error);
-      return null;
+      console.error('Error dispatching notification:', error);
+      return [];
     }
   }
 
   /**
-   * Send notification via Bark
+   * Collect notification channels from environment variables and KV settings
    */
-  async sendBarkNotification(title, body, category = 'default') {
-    if (!this.barkUrl) return;
+  async getNotificationChannels() {
+    const settings = await this.getSettings();
+    const channels = [];
+
+    // 先尝试使用环境变量中的 Bark URL，如果没有则使用 KV 设置中的
+    const barkUrl = this.barkUrl || settings.barkBaseUrl;
+    if (barkUrl) {
+      channels.push({ id: 'bark', type: 'bark', name: 'Bark', enabled: true, config: { url: barkUrl } });
+    }
 
-    try {
-      // 确保 Bark URL 以 / 结尾
-      const baseUrl = this.barkUrl.endsWith('/') ? this.barkUrl : this.barkUrl + '/';
-      const url = `${baseUrl}${encodeURIComponent(title)}/${encodeURIComponent(body)}?group=openrouter&category=${category}`;
-      
-      const response = await fetch(url, {
-        method: 'GET',
-        headers: {
-          'User-Agent': 'OpenRouter-Monitor/1.0'
-        }
+    if (this.env.WEBHOOK_URL) {
+      channels.push({
+        id: 'env-webhook',
+        type: 'webhook',
+        name: 'Webhook',
+        enabled: true,
+        config: { url: this.env.WEBHOOK_URL, secret: this.env.WEBHOOK_SECRET || '' }
       });
+    }
+
+    channels.push(...getStoredChannels(settings));
+    return channels;
+  }
+
+  /**
+   * 测试推送功能，发送模拟的免费模型变更到指定通道（默认全部通道）
+   */
+  async testNotification(channelId = null) {
+    const channels = await this.getNotificationChannels();
+    const targets = channelId ? channels.filter(channel => channel.id === channelId) : channels;
+
+    if (targets.length === 0) {
+      throw new Error(channelId ? `通知通道 ${channelId} 不存在` : '未配置任何通知通道，请在设置中配置');
+    }
 
-      if (!response.ok) {
-        console.error('Bark notification failed:', response.status, response.statusText);
-        throw new Error(`Bark 推送失败: ${response.status} ${response.statusText}`);
-      } else {
-        console.log('Bark notification sent successfully');
+    const event = buildTestEvent();
+    const results = await notifierRegistry.dispatch(targets, event);
+    await this.deliveryLog.record(results.map(result => ({ result, event })));
+    const failed = results.filter(result => result.status === 'failed');
+
+    return {
+      success: failed.length === 0,
+      message: failed.length === 0 ? '测试推送已发送' : `${failed.length} 个通道推送失败`,
+      results,
+      testData: {
+        added: event.added.map(m => m.name || m.id),
+        removed: event.removed.map(m => m.name || m.id)
       }
+    };
+  }
+
+  /**
+   * 预览测试消息在指定通道（默认全部通道）中的渲染结果，不实际发送
+   */
+  async previewNotification(channelId = null) {
+    const channels = await this.getNotificationChannels();
+    const targets = channelId ? channels.filter(channel => channel.id === channelId) : channels;
+
+    if (targets.length === 0) {
+      throw new Error(channelId ? `通知通道 ${channelId} 不存在` : '未配置任何通知通道，请在设置中配置');
+    }
+
+    const event = buildTestEvent();
+    return {
+      success: true,
+      previews: targets.map(channel => ({
+        channelId: channel.id,
+        type: channel.type,
+        ...notifierRegistry.preview(channel, event)
+      }))
+    };
+  }
+
+  /**
+   * 测试 Bark 推送功能
+   */
+  async testBarkNotification() {
+    const channels = await this.getNotificationChannels();
+    const barkChannel = channels.find(channel => channel.id === 'bark');
+    if (!barkChannel) {
+      throw new Error('Bark API URL 未配置，请在设置中配置');
+    }
+
+    const result = await this.testNotification('bark');
+    if (!result.success) {
+      throw new Error(result.results[0].error);
+    }
+
+    return {
+      ...result,
+      barkUrl: barkChannel.config.url.replace(/\/[^/]+\/$/, '/****/') // 隐藏API key
+    };
+  }
+
+  /**
+   * 从 KV 中读取应用设置
+   */
+  async getSettings() {
+    try {
+      const settings = await this.kv.get('app_settings');
+      return settings ? JSON.parse(settings) : {};
     } catch (error) {
-      console.error('Error sending Bark notification:', error);
-      throw error;
+      console.error('Error getting settings:', error);
+      return {};
     }
   }
 }
@@ -0,0 +1,37 @@
+/**
+ * BarkNotifier - iOS push notifications via Bark
+ */
+import { BaseNotifier } from './base.js';
+
+export class BarkNotifier extends BaseNotifier {
+  static type = 'bark';
+  static label = 'Bark';
+  static fields = [
+    { name: 'url', label: 'Bark URL', type: 'url', required: true, secret: true, placeholder: 'https://api.day.app/your_key' }
+  ];
+
+  format(event) {
+    return {
+      title: event.title,
+      body: event.message,
+      category: event.category
+    };
+  }
+
+  async deliver({ title, body, category }) {
+    // 确保 Bark URL 以 / 结尾
+    const baseUrl = this.config.url.endsWith('/') ? this.config.url : this.config.url + '/';
+    const url = `${baseUrl}${encodeURIComponent(title)}/${encodeURIComponent(body)}?group=openrouter&category=${category}`;
+
+    const response = await this.request(url, {
+      method: 'GET',
+      headers: {
+        'User-Agent': 'OpenRouter-Monitor/1.0'
+      }
+    });
+
+    if (!response.ok) {
+      throw new Error(`Bark 推送失败: ${response.status} ${response.statusText}`);
+    }
+  }
+}
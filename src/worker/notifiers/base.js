@@ -0,0 +1,131 @@
+/**
+ * BaseNotifier - Common behaviour for notification channels
+ *
+ * A channel is a stored object { id, type, name, enabled, config }. Subclasses set
+ * the static `type`, `label` and `fields` (the config schema used for validation
+ * and by the settings UI), then implement `format(event)` and `deliver(message)`.
+ * `send` applies the channel's message template before formatting.
+ */
+import { isTextEvent } from './event.js';
+import { applyTemplate } from './template.js';
+
+export class BaseNotifier {
+  static type = '';
+  static label = '';
+
+  // Digest channels skip individual events and get periodic summaries from DigestScheduler
+  static digest = false;
+
+  // Whether the channel's `template` (see template.js) is applied to its messages
+  static templates = true;
+
+  // Config schema: [{ name, label, type, required, secret, placeholder, options, min, max, help }]
+  static fields = [];
+
+  constructor(channel) {
+    this.channel = channel;
+    this.config = channel.config || {};
+
+    // Set by `send` / `request` for the delivery log
+    this.payload = null;
+    this.httpStatus = null;
+  }
+
+  /**
+   * Whether this channel should receive the event. Chat-style channels only
+   * care about free tier changes, errors and alerts; raw channels can widen this.
+   */
+  accepts(event) {
+    if (isTextEvent(event)) {
+      return true;
+    }
+    return event.added.length > 0 || event.removed.length > 0;
+  }
+
+  /**
+   * Turn an event into the channel-specific message
+   */
+  format(event) {
+    throw new Error(`${this.constructor.name} must implement format()`);
+  }
+
+  /**
+   * Deliver a formatted message
+   */
+  async deliver(message) {
+    throw new Error(`${this.constructor.name} must implement deliver()`);
+  }
+
+  /**
+   * Map the event category (update / error, as used by Bark) to a priority,
+   * preferring the channel's `updatePriority` / `errorPriority` config
+   */
+  getPriority(event, defaults) {
+    const value = this.config[event.category === 'error' ? 'errorPriority' : 'updatePriority'];
+    return value === undefined || value === '' ? defaults[event.category] : Number(value);
+  }
+
+  /**
+   * Event as this channel renders it, with the channel template applied
+   */
+  prepare(event) {
+    return this.constructor.templates ? applyTemplate(event, this.channel.template) : event;
+  }
+
+  async send(event) {
+    this.payload = this.format(this.prepare(event));
+    await this.deliver(this.payload);
+  }
+
+  /**
+   * fetch() that remembers the response status
+   */
+  async request(url, init) {
+    const response = await fetch(url, init);
+    this.httpStatus = response.status;
+    return response;
+  }
+
+  /**
+   * POST a JSON body and throw on non-2xx responses
+   */
+  async postJson(url, body, headers = {}) {
+    const response = await this.request(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OpenRouter-Monitor/1.0',
+        ...headers
+      },
+      body: typeof body === 'string' ? body : JSON.stringify(body)
+    });
+
+    if (!response.ok) {
+      throw new Error(`${this.constructor.label} 推送失败: ${response.status} ${response.statusText}`);
+    }
+
+    return response;
+  }
+
+  /**
+   * POST JSON to an API that reports failures in the response body with a
+   * non-zero code, e.g. { errcode: 310000, errmsg: "..." }
+   */
+  async postJsonApi(url, body, { codeField, messageField }) {
+    const response = await this.postJson(url, body);
+
+    let data = {};
+    try {
+      data = await response.json();
+    } catch (error) {
+      // Some APIs answer with an empty body on success
+    }
+
+    const code = data[codeField];
+    if (code !== undefined && code !== 0) {
+      throw new Error(`${this.constructor.label} 推送失败: ${code} ${data[messageField] || ''}`.trim());
+    }
+
+    return data;
+  }
+}
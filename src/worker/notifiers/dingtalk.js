@@ -0,0 +1,40 @@
+/**
+ * DingTalkNotifier - Markdown messages via a DingTalk (钉钉) custom robot
+ *
+ * With 加签 enabled the robot requires `timestamp` and `sign` query parameters,
+ * where sign = base64(HMAC-SHA256(secret, "<timestamp>\n<secret>")).
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+import { hmacSha256, toBase64 } from './signing.js';
+
+export class DingTalkNotifier extends BaseNotifier {
+  static type = 'dingtalk';
+  static label = '钉钉';
+  static fields = [
+    { name: 'webhookUrl', label: '机器人 Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://oapi.dingtalk.com/robot/send?access_token=...' },
+    { name: 'secret', label: '加签密钥', type: 'password', secret: true, placeholder: 'SEC...', help: '机器人安全设置中启用「加签」时填写' }
+  ];
+
+  format(event) {
+    return {
+      msgtype: 'markdown',
+      markdown: {
+        title: event.title,
+        text: `### ${event.title}\n\n${formatChangeMarkdown(event).replace(/\n/g, '\n\n')}`
+      }
+    };
+  }
+
+  async deliver(payload) {
+    let url = this.config.webhookUrl;
+
+    if (this.config.secret) {
+      const timestamp = Date.now();
+      const sign = toBase64(await hmacSha256(this.config.secret, `${timestamp}\n${this.config.secret}`));
+      url += `${url.includes('?') ? '&' : '?'}timestamp=${timestamp}&sign=${encodeURIComponent(sign)}`;
+    }
+
+    await this.postJsonApi(url, payload, { codeField: 'errcode', messageField: 'errmsg' });
+  }
+}
@@ -0,0 +1,88 @@
+/**
+ * DiscordNotifier - Rich embeds via a Discord incoming webhook
+ */
+import { BaseNotifier } from './base.js';
+import { getModelUrl, formatModelDetails, isTextEvent } from './event.js';
+
+// Discord rejects embed descriptions longer than 4096 characters, and messages
+// whose embeds add up to more than 6000 characters (titles included)
+const MAX_DESCRIPTION_LENGTH = 4000;
+const MAX_EMBEDS_LENGTH = 5800;
+
+// Room kept for the "…以及其他 N 个模型" line
+const OVERFLOW_LINE_LENGTH = 30;
+
+const COLORS = {
+  added: 0x2ecc71,
+  removed: 0xe74c3c,
+  error: 0xf39c12,
+  rule: 0x3498db,
+  watch: 0x9b59b6
+};
+
+function buildModelList(models, maxLength) {
+  const lines = [];
+  let length = 0;
+
+  for (const [index, model] of models.entries()) {
+    const line = `**[${model.name || model.id}](${getModelUrl(model.id)})**\n\`${model.id}\` · ${formatModelDetails(model)}`;
+    if (length + line.length > maxLength - OVERFLOW_LINE_LENGTH) {
+      lines.push(`…以及其他 ${models.length - index} 个模型`);
+      break;
+    }
+    lines.push(line);
+    length += line.length + 1;
+  }
+
+  return lines.join('\n');
+}
+
+export class DiscordNotifier extends BaseNotifier {
+  static type = 'discord';
+  static label = 'Discord';
+  static fields = [
+    { name: 'webhookUrl', label: 'Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://discord.com/api/webhooks/...' },
+    { name: 'username', label: '显示名称', type: 'text', placeholder: 'OpenRouter Monitor' }
+  ];
+
+  format(event) {
+    const embeds = [];
+
+    if (isTextEvent(event)) {
+      embeds.push({
+        title: event.title,
+        description: (event.markdown || event.message).slice(0, MAX_DESCRIPTION_LENGTH),
+        color: COLORS[event.kind],
+        timestamp: event.timestamp
+      });
+    } else {
+      const lists = [
+        { title: `🆕 新增免费模型 (${event.added.length})`, models: event.added, color: COLORS.added },
+        { title: `❌ 失效免费模型 (${event.removed.length})`, models: event.removed, color: COLORS.removed }
+      ].filter(list => list.models.length > 0);
+
+      // Split the message budget between the lists; a short list leaves the rest to the next
+      let remaining = MAX_EMBEDS_LENGTH - lists.reduce((length, list) => length + list.title.length, 0);
+      for (const [index, list] of lists.entries()) {
+        const description = buildModelList(list.models, Math.min(MAX_DESCRIPTION_LENGTH, Math.floor(remaining / (lists.length - index))));
+        remaining -= description.length;
+        embeds.push({
+          title: list.title,
+          description,
+          color: list.color,
+          timestamp: event.timestamp
+        });
+      }
+    }
+
+    return {
+      username: this.config.username || 'OpenRouter Monitor',
+      content: event.title,
+      embeds
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJson(this.config.webhookUrl, payload);
+  }
+}
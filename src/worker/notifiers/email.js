@@ -0,0 +1,150 @@
+/**
+ * EmailNotifier - HTML change digests via an HTTP mail API
+ *
+ * Supports Resend-style ({ from, to, subject, html }) and MailChannels-style
+ * ({ personalizations, from, subject, content }) APIs; `apiUrl` can point at any
+ * compatible endpoint, such as a relay or a local mock server.
+ */
+import { BaseNotifier } from './base.js';
+import { formatPrice, getModelUrl } from './event.js';
+
+const PROVIDERS = {
+  resend: { label: 'Resend', url: 'https://api.resend.com/emails' },
+  mailchannels: { label: 'MailChannels', url: 'https://api.mailchannels.net/tx/v1/send' }
+};
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function formatContext(model) {
+  return model.context_length ? Number(model.context_length).toLocaleString('en-US') : '-';
+}
+
+function renderTable(heading, columns, rows) {
+  if (rows.length === 0) {
+    return '';
+  }
+
+  const cell = 'style="border:1px solid #ddd;padding:6px 10px;text-align:left"';
+  return `
+<h3 style="margin:24px 0 8px">${escapeHtml(heading)} (${rows.length})</h3>
+<table style="border-collapse:collapse;font-size:14px">
+  <tr>${columns.map(column => `<th ${cell}>${escapeHtml(column)}</th>`).join('')}</tr>
+  ${rows.map(row => `<tr>${row.map(value => `<td ${cell}>${value}</td>`).join('')}</tr>`).join('\n  ')}
+</table>`;
+}
+
+function modelLink(model) {
+  return `<a href="${escapeHtml(getModelUrl(model.id))}">${escapeHtml(model.name || model.id)}</a><br><code>${escapeHtml(model.id)}</code>`;
+}
+
+function modelRow(model) {
+  const pricing = model.pricing || {};
+  return [modelLink(model), escapeHtml(formatPrice(pricing.prompt)), escapeHtml(formatPrice(pricing.completion)), formatContext(model)];
+}
+
+/**
+ * Render a digest (or test) event as an HTML email body
+ */
+export function renderDigestHtml(event) {
+  const models = event.models || { added: event.added, removed: event.removed, repriced: [] };
+  const period = event.since
+    ? `${new Date(event.since).toISOString().slice(0, 16).replace('T', ' ')} ~ ${new Date(event.until).toISOString().slice(0, 16).replace('T', ' ')} UTC`
+    : new Date(event.timestamp).toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+  const priceColumns = ['模型', '输入价格 (每百万 tokens)', '输出价格 (每百万 tokens)', '上下文'];
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',sans-serif;color:#333">
+<h2 style="margin-bottom:4px">${escapeHtml(event.title)}</h2>
+<p style="color:#666;margin-top:0">${escapeHtml(period)} · ${escapeHtml(event.message)}</p>
+${renderTable('🆕 新增模型', priceColumns, models.added.map(modelRow))}
+${renderTable('❌ 下架模型', priceColumns, models.removed.map(modelRow))}
+${renderTable('💰 价格变动', ['模型', '字段', '变动'], models.repriced.flatMap(({ model, changes }) => changes.map(change => [
+  modelLink(model),
+  escapeHtml(change.field.replace('pricing.', '')),
+  `${escapeHtml(formatPrice(change.before))} → ${escapeHtml(formatPrice(change.after))}`
+])))}
+<p style="color:#999;font-size:12px;margin-top:24px">由 OpenRouter Monitor 发送，价格为每百万 tokens 的美元价格。</p>
+</body>
+</html>`;
+}
+
+export class EmailNotifier extends BaseNotifier {
+  static type = 'email';
+  static label = '邮件摘要';
+  static digest = true;
+  static templates = false;
+  static fields = [
+    {
+      name: 'provider',
+      label: '邮件 API 类型',
+      type: 'select',
+      required: true,
+      options: Object.entries(PROVIDERS).map(([value, provider]) => ({ value, label: provider.label }))
+    },
+    { name: 'apiUrl', label: 'API 地址', type: 'url', placeholder: 'https://api.resend.com/emails', help: '可选，默认使用所选服务的官方地址' },
+    { name: 'apiKey', label: 'API Key', type: 'password', secret: true },
+    { name: 'from', label: '发件人', type: 'text', required: true, placeholder: 'OpenRouter Monitor <monitor@example.com>' },
+    { name: 'to', label: '收件人', type: 'text', required: true, placeholder: 'a@example.com, b@example.com', help: '多个收件人用逗号分隔' },
+    {
+      name: 'schedule',
+      label: '发送频率',
+      type: 'select',
+      required: true,
+      options: [
+        { value: 'daily', label: '每日' },
+        { value: 'weekly', label: '每周（周一）' }
+      ]
+    },
+    { name: 'sendHour', label: '发送时间 (UTC 小时)', type: 'number', min: 0, max: 23, placeholder: '0' }
+  ];
+
+  accepts(event) {
+    return event.kind === 'digest' || event.kind === 'test';
+  }
+
+  format(event) {
+    return {
+      subject: event.title,
+      html: renderDigestHtml(event),
+      text: event.message
+    };
+  }
+
+  getRecipients() {
+    return this.config.to.split(',').map(address => address.trim()).filter(Boolean);
+  }
+
+  async deliver({ subject, html, text }) {
+    const provider = this.config.provider || 'resend';
+    const url = this.config.apiUrl || PROVIDERS[provider].url;
+
+    if (provider === 'mailchannels') {
+      const from = /^(.*)<(.+)>$/.exec(this.config.from);
+      await this.postJson(url, {
+        personalizations: [{ to: this.getRecipients().map(email => ({ email })) }],
+        from: from ? { email: from[2].trim(), name: from[1].trim() } : { email: this.config.from },
+        subject,
+        content: [
+          { type: 'text/plain', value: text },
+          { type: 'text/html', value: html }
+        ]
+      }, this.config.apiKey ? { 'X-Api-Key': this.config.apiKey } : {});
+      return;
+    }
+
+    await this.postJson(url, {
+      from: this.config.from,
+      to: this.getRecipients(),
+      subject,
+      html,
+      text
+    }, this.config.apiKey ? { Authorization: `Bearer ${this.config.apiKey}` } : {});
+  }
+}
@@ -0,0 +1,319 @@
+/**
+ * Notification events shared by every channel
+ *
+ * {
+ *   kind: 'change' | 'error' | 'test' | 'digest' | 'rule' | 'watch',
+ *   category: 'update' | 'error',
+ *   title, message, timestamp,
+ *   added, removed,      // models that entered / left the free tier
+ *   summary, events      // the underlying change record (empty for errors)
+ * }
+ */
+
+import { getFreeTransitions, classifyEvent, getChangesOfKind } from '../diff.js';
+
+const CHANGE_TITLE = 'OpenRouter免费模型更新';
+
+/**
+ * Build a notification event from a change record
+ */
+export function buildChangeEvent(changeRecord) {
+  const { added, removed } = getFreeTransitions(changeRecord);
+  const event = {
+    kind: 'change',
+    category: 'update',
+    title: CHANGE_TITLE,
+    timestamp: changeRecord.timestamp,
+    previousTimestamp: changeRecord.previousTimestamp,
+    added,
+    removed,
+    summary: changeRecord.summary,
+    events: changeRecord.events
+  };
+  event.message = formatChangeText(event);
+  return event;
+}
+
+/**
+ * Build an alert event listing individual change events
+ */
+function buildAlertEvent(kind, title, changeEvents, changeRecord) {
+  const { added, removed } = getFreeTransitions({ events: changeEvents });
+  return {
+    kind,
+    category: 'update',
+    title,
+    timestamp: changeRecord.timestamp,
+    previousTimestamp: changeRecord.previousTimestamp,
+    added,
+    removed,
+    summary: { matched: changeEvents.length },
+    events: changeEvents,
+    message: changeEvents.map(event => `${event.name} (${event.modelId}): ${describeChangeEvent(event)}`).join('\n'),
+    markdown: changeEvents.map(event => `- [${event.name}](${getModelUrl(event.modelId)}) \`${event.modelId}\` · ${describeChangeEvent(event)}`).join('\n')
+  };
+}
+
+/**
+ * Build a notification event for the change events that matched a rule
+ */
+export function buildRuleEvent(rule, changeEvents, changeRecord) {
+  return {
+    ...buildAlertEvent('rule', `OpenRouter 规则提醒：${rule.name}`, changeEvents, changeRecord),
+    rule: { id: rule.id, name: rule.name }
+  };
+}
+
+/**
+ * Build a notification event for changes to watched models
+ */
+export function buildWatchEvent(changeEvents, changeRecord) {
+  return buildAlertEvent('watch', `OpenRouter 关注模型变更 (${changeEvents.length})`, changeEvents, changeRecord);
+}
+
+/**
+ * Merge queued change events into one. Free tier transitions are netted out per
+ * model, so a model that left and came back within the batch is not reported.
+ * `batchSize` counts the monitoring runs merged, including earlier merges.
+ */
+export function buildBatchEvent(changeEvents) {
+  if (changeEvents.length === 1) {
+    return changeEvents[0];
+  }
+
+  const events = changeEvents.flatMap(event => event.events);
+  const states = new Map();
+  for (const event of events) {
+    const state = states.get(event.modelId);
+    states.set(event.modelId, {
+      wasFree: state ? state.wasFree : event.wasFree,
+      free: event.free,
+      model: event.model
+    });
+  }
+
+  const finalStates = [...states.values()];
+  const summary = {};
+  for (const event of changeEvents) {
+    for (const [key, value] of Object.entries(event.summary || {})) {
+      summary[key] = (summary[key] || 0) + value;
+    }
+  }
+
+  const batchSize = changeEvents.reduce((count, event) => count + (event.batchSize || 1), 0);
+  const event = {
+    kind: 'change',
+    category: 'update',
+    title: `${CHANGE_TITLE}（${batchSize} 次汇总）`,
+    batchSize,
+    timestamp: changeEvents[changeEvents.length - 1].timestamp,
+    previousTimestamp: changeEvents[0].previousTimestamp,
+    added: finalStates.filter(state => state.free && !state.wasFree).map(state => state.model),
+    removed: finalStates.filter(state => state.wasFree && !state.free).map(state => state.model),
+    summary,
+    events
+  };
+  event.message = formatChangeText(event);
+  return event;
+}
+
+/**
+ * Build a notification event for a failed monitoring run
+ */
+export function buildErrorEvent(error) {
+  return {
+    kind: 'error',
+    category: 'error',
+    title: 'OpenRouter Monitor Error',
+    message: `Monitoring failed: ${error.message || error}`,
+    timestamp: new Date().toISOString(),
+    added: [],
+    removed: [],
+    summary: null,
+    events: []
+  };
+}
+
+/**
+ * Build a digest event summarizing the change log events of a period.
+ * `models` lists every catalog addition, removal and price change, while
+ * `added` / `removed` keep their free tier meaning.
+ */
+export function buildDigestEvent(changeEvents, { since, until, schedule }) {
+  const { added, removed } = getFreeTransitions({ events: changeEvents });
+  const models = {
+    added: changeEvents.filter(event => event.type === 'added').map(event => event.model),
+    removed: changeEvents.filter(event => event.type === 'removed').map(event => event.model),
+    repriced: changeEvents
+      .filter(event => classifyEvent(event).includes('price_change'))
+      .map(event => ({ model: event.model, changes: getChangesOfKind(event, 'price_change') }))
+  };
+
+  const event = {
+    kind: 'digest',
+    category: 'update',
+    title: `OpenRouter 模型变更${schedule === 'weekly' ? '周报' : '日报'}`,
+    timestamp: until,
+    since,
+    until,
+    schedule,
+    added,
+    removed,
+    models,
+    summary: {
+      added: models.added.length,
+      removed: models.removed.length,
+      repriced: models.repriced.length,
+      becameFree: added.length,
+      noLongerFree: removed.length,
+      total: changeEvents.length
+    },
+    events: changeEvents
+  };
+  event.message = `新增 ${models.added.length} 个、下架 ${models.removed.length} 个、价格变动 ${models.repriced.length} 个模型`;
+  return event;
+}
+
+/**
+ * Build a test event with mock free tier changes
+ */
+export function buildTestEvent() {
+  const added = [
+    { id: 'test-model-1:free', name: 'Test Model 1 Free', context_length: 32768, pricing: { prompt: '0', completion: '0' } },
+    { id: 'test-model-2:free', name: 'Test Model 2 Free', context_length: 131072, pricing: { prompt: '0', completion: '0' } }
+  ];
+  const removed = [
+    { id: 'old-model-1:free', name: 'Old Model 1 Free', context_length: 8192, pricing: { prompt: '0', completion: '0' } },
+    { id: 'old-model-2:free', name: 'Old Model 2 Free', context_length: 4096, pricing: { prompt: '0', completion: '0' } }
+  ];
+
+  const event = {
+    kind: 'test',
+    category: 'update',
+    title: CHANGE_TITLE,
+    timestamp: new Date().toISOString(),
+    added,
+    removed,
+    summary: { added: added.length, removed: removed.length, modified: 0, becameFree: added.length, noLongerFree: removed.length },
+    events: []
+  };
+  event.message = formatChangeText(event);
+  return event;
+}
+
+/**
+ * Default plain text body: 新增免费模型：a,b；失效免费模型：c,d
+ */
+export function formatChangeText(event) {
+  const parts = [];
+  if (event.added.length > 0) {
+    parts.push(`新增免费模型：${event.added.map(model => model.name || model.id).join(',')}`);
+  }
+  if (event.removed.length > 0) {
+    parts.push(`失效免费模型：${event.removed.map(model => model.name || model.id).join(',')}`);
+  }
+  return parts.join('；');
+}
+
+/**
+ * Link to a model's page on OpenRouter
+ */
+export function getModelUrl(modelId) {
+  return `https://openrouter.ai/${modelId}`;
+}
+
+/**
+ * Format a per-token price as USD per million tokens
+ */
+export function formatPrice(price) {
+  const priceNum = parseFloat(price || '0');
+  if (priceNum === 0) return '免费';
+  const pricePerMillion = priceNum * 1000000;
+  return '$' + pricePerMillion.toFixed(pricePerMillion >= 1 ? 2 : 4);
+}
+
+/**
+ * One-line price and context summary, e.g. "输入 免费 / 输出 免费 · 上下文 131,072"
+ */
+export function formatModelDetails(model) {
+  const pricing = model.pricing || {};
+  const parts = [`输入 ${formatPrice(pricing.prompt)} / 输出 ${formatPrice(pricing.completion)}`];
+  if (model.context_length) {
+    parts.push(`上下文 ${Number(model.context_length).toLocaleString('en-US')}`);
+  }
+  return parts.join(' · ');
+}
+
+/**
+ * Whether an event is rendered from its text (`message` / `markdown`) rather
+ * than from free tier model lists. Events rendered through a channel template
+ * count as text events.
+ */
+export function isTextEvent(event) {
+  return event.kind === 'error' || event.kind === 'rule' || event.kind === 'watch' || event.templated === true;
+}
+
+const FIELD_LABELS = {
+  'pricing.prompt': '输入价格',
+  'pricing.completion': '输出价格',
+  context_length: '上下文',
+  'top_provider.context_length': '供应商上下文',
+  'top_provider.max_completion_tokens': '最大输出',
+  expiration_date: '下线日期'
+};
+
+function formatFieldValue(field, value) {
+  if (field.startsWith('pricing.')) {
+    return formatPrice(value);
+  }
+  if (Array.isArray(value)) {
+    return value.join(',') || '-';
+  }
+  return value ?? '-';
+}
+
+/**
+ * Describe one change event, e.g. "输入价格: $3.00 → $1.50"
+ */
+export function describeChangeEvent(event) {
+  if (event.type === 'added') {
+    return `新增${event.free ? '（免费）' : ''} · ${formatModelDetails(event.model)}`;
+  }
+  if (event.type === 'removed') {
+    return `下架${event.wasFree ? '（原为免费）' : ''}`;
+  }
+
+  return (event.changes || []).map(change => {
+    if (change.field === 'free') {
+      return change.after ? '变为免费' : '不再免费';
+    }
+    const label = FIELD_LABELS[change.field] || change.field;
+    return `${label}: ${formatFieldValue(change.field, change.before)} → ${formatFieldValue(change.field, change.after)}`;
+  }).join('；');
+}
+
+/**
+ * Markdown body listing free tier changes, for channels that render Markdown
+ */
+export function formatChangeMarkdown(event) {
+  if (event.kind === 'error') {
+    return event.message;
+  }
+  if (event.kind === 'rule' || event.kind === 'watch' || event.templated) {
+    return event.markdown;
+  }
+
+  const lines = [];
+  const section = (heading, models) => {
+    if (models.length === 0) return;
+    if (lines.length > 0) lines.push('');
+    lines.push(`**${heading} (${models.length})**`);
+    for (const model of models) {
+      lines.push(`- [${model.name || model.id}](${getModelUrl(model.id)}) \`${model.id}\` · ${formatModelDetails(model)}`);
+    }
+  };
+
+  section('🆕 新增免费模型', event.added);
+  section('❌ 失效免费模型', event.removed);
+  return lines.join('\n');
+}
@@ -0,0 +1,45 @@
+/**
+ * FeishuNotifier - Interactive card messages via a Feishu / Lark custom bot
+ *
+ * With 签名校验 enabled the body carries `timestamp` (seconds) and `sign`,
+ * where sign = base64(HMAC-SHA256 keyed with "<timestamp>\n<secret>" over an empty message).
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+import { hmacSha256, toBase64 } from './signing.js';
+
+export class FeishuNotifier extends BaseNotifier {
+  static type = 'feishu';
+  static label = '飞书 / Lark';
+  static fields = [
+    { name: 'webhookUrl', label: '机器人 Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://open.feishu.cn/open-apis/bot/v2/hook/...' },
+    { name: 'secret', label: '签名密钥', type: 'password', secret: true, help: '机器人安全设置中启用「签名校验」时填写' }
+  ];
+
+  format(event) {
+    return {
+      msg_type: 'interactive',
+      card: {
+        header: {
+          title: { tag: 'plain_text', content: event.title },
+          template: event.category === 'error' ? 'red' : 'orange'
+        },
+        elements: [
+          { tag: 'markdown', content: formatChangeMarkdown(event) }
+        ]
+      }
+    };
+  }
+
+  async deliver(payload) {
+    const body = { ...payload };
+
+    if (this.config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      body.timestamp = timestamp;
+      body.sign = toBase64(await hmacSha256(`${timestamp}\n${this.config.secret}`, ''));
+    }
+
+    await this.postJsonApi(this.config.webhookUrl, body, { codeField: 'code', messageField: 'msg' });
+  }
+}
@@ -0,0 +1,34 @@
+/**
+ * GotifyNotifier - Push notifications via a self-hosted Gotify server
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+
+const DEFAULT_PRIORITIES = { update: 5, error: 8 };
+
+export class GotifyNotifier extends BaseNotifier {
+  static type = 'gotify';
+  static label = 'Gotify';
+  static fields = [
+    { name: 'serverUrl', label: '服务器地址', type: 'url', required: true, placeholder: 'https://gotify.example.com' },
+    { name: 'appToken', label: '应用 Token', type: 'password', required: true, secret: true },
+    { name: 'updatePriority', label: '更新通知优先级', type: 'number', min: 0, max: 10, placeholder: '5' },
+    { name: 'errorPriority', label: '错误通知优先级', type: 'number', min: 0, max: 10, placeholder: '8' }
+  ];
+
+  format(event) {
+    return {
+      title: event.title,
+      message: formatChangeMarkdown(event),
+      priority: this.getPriority(event, DEFAULT_PRIORITIES),
+      extras: {
+        'client::display': { contentType: 'text/markdown' }
+      }
+    };
+  }
+
+  async deliver(message) {
+    const serverUrl = this.config.serverUrl.replace(/\/+$/, '');
+    await this.postJson(`${serverUrl}/message`, message, { 'X-Gotify-Key': this.config.appToken });
+  }
+}
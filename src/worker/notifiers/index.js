@@ -0,0 +1,270 @@
+/**
+ * NotifierRegistry - Maps channel types to notifier classes and fans events out
+ *
+ * Channels are stored in `app_settings.notificationChannels` as
+ * { id, type, name, enabled, config }. Several channels can fire for one event;
+ * a failing channel is reported in the results but never aborts the others.
+ */
+import { BarkNotifier } from './bark.js';
+import { WebhookNotifier } from './webhook.js';
+import { TelegramNotifier } from './telegram.js';
+import { DiscordNotifier } from './discord.js';
+import { SlackNotifier } from './slack.js';
+import { WeComNotifier } from './wecom.js';
+import { DingTalkNotifier } from './dingtalk.js';
+import { FeishuNotifier } from './feishu.js';
+import { ServerChanNotifier } from './serverchan.js';
+import { NtfyNotifier } from './ntfy.js';
+import { GotifyNotifier } from './gotify.js';
+import { EmailNotifier } from './email.js';
+
+// Placeholder returned instead of stored secrets
+export const MASKED_SECRET = '********';
+
+// IDs of the channels built from BARK_API_URL / barkBaseUrl and WEBHOOK_URL
+export const RESERVED_CHANNEL_IDS = ['bark', 'env-webhook'];
+
+export class NotifierRegistry {
+  constructor() {
+    this.types = new Map();
+  }
+
+  register(NotifierClass) {
+    this.types.set(NotifierClass.type, NotifierClass);
+    return this;
+  }
+
+  has(type) {
+    return this.types.has(type);
+  }
+
+  /**
+   * Whether a channel only receives periodic digests
+   */
+  isDigest(channel) {
+    const NotifierClass = this.types.get(channel.type);
+    return Boolean(NotifierClass && NotifierClass.digest);
+  }
+
+  create(channel) {
+    const NotifierClass = this.types.get(channel.type);
+    if (!NotifierClass) {
+      throw new Error(`未知的通知通道类型: ${channel.type}`);
+    }
+    return new NotifierClass(channel);
+  }
+
+  /**
+   * Describe registered channel types for the settings UI
+   */
+  describe() {
+    return [...this.types.values()].map(NotifierClass => ({
+      type: NotifierClass.type,
+      label: NotifierClass.label,
+      digest: NotifierClass.digest,
+      templates: NotifierClass.templates,
+      fields: NotifierClass.fields
+    }));
+  }
+
+  /**
+   * Validate a channel definition, returning an error message or null
+   */
+  validate(channel) {
+    if (!channel || typeof channel !== 'object') {
+      return '通知通道格式错误';
+    }
+
+    const NotifierClass = this.types.get(channel.type);
+    if (!NotifierClass) {
+      return `未知的通知通道类型: ${channel.type}`;
+    }
+
+    const config = channel.config || {};
+    for (const field of NotifierClass.fields) {
+      const value = config[field.name];
+      const label = `${NotifierClass.label} ${field.label}`;
+
+      if (value === undefined || value === null || value === '') {
+        if (field.required) {
+          return `${label} 不能为空`;
+        }
+        continue;
+      }
+
+      switch (field.type) {
+        case 'url':
+          if (typeof value !== 'string' || !/^https?:\/\//.test(value)) {
+            return `${label} 必须以http://或https://开头`;
+          }
+          break;
+        case 'number':
+          if (Number.isNaN(Number(value))) {
+            return `${label} 必须是数字`;
+          }
+          if ((field.min !== undefined && Number(value) < field.min) ||
+              (field.max !== undefined && Number(value) > field.max)) {
+            return `${label} 必须在 ${field.min} 到 ${field.max} 之间`;
+          }
+          break;
+        case 'select':
+          if (!field.options.some(option => option.value === value)) {
+            return `${label} 取值无效`;
+          }
+          break;
+        case 'json':
+          if (typeof value !== 'object' || Array.isArray(value) ||
+              Object.values(value).some(item => typeof item !== 'string')) {
+            return `${label} 必须是字符串键值对`;
+          }
+          break;
+        case 'checkbox':
+          if (typeof value !== 'boolean') {
+            return `${label} 必须是布尔值`;
+          }
+          break;
+        default:
+          if (typeof value !== 'string') {
+            return `${label} 必须是字符串`;
+          }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hide secret config values before returning a channel to clients. Secret
+   * JSON fields keep their keys and mask each value.
+   */
+  mask(channel) {
+    const NotifierClass = this.types.get(channel.type);
+    const config = { ...(channel.config || {}) };
+
+    for (const field of NotifierClass ? NotifierClass.fields : []) {
+      if (!field.secret || !config[field.name]) {
+        continue;
+      }
+      config[field.name] = field.type === 'json' && typeof config[field.name] === 'object'
+        ? Object.fromEntries(Object.keys(config[field.name]).map(key => [key, MASKED_SECRET]))
+        : MASKED_SECRET;
+    }
+
+    return { ...channel, config };
+  }
+
+  /**
+   * Restore stored secrets for fields that were submitted still masked
+   */
+  mergeSecrets(channel, previousChannels) {
+    const previous = previousChannels.find(item => item.id === channel.id && item.type === channel.type);
+    const NotifierClass = this.types.get(channel.type);
+    const config = { ...(channel.config || {}) };
+
+    for (const field of NotifierClass ? NotifierClass.fields : []) {
+      if (!field.secret) {
+        continue;
+      }
+      const stored = previous ? (previous.config || {})[field.name] : undefined;
+
+      if (field.type === 'json' && config[field.name] && typeof config[field.name] === 'object') {
+        config[field.name] = Object.fromEntries(Object.entries(config[field.name]).map(([key, value]) => [
+          key,
+          value === MASKED_SECRET ? ((stored || {})[key] ?? '') : value
+        ]));
+      } else if (config[field.name] === MASKED_SECRET) {
+        config[field.name] = stored ?? '';
+      }
+    }
+
+    return { ...channel, config };
+  }
+
+  /**
+   * Render an event the way a channel would send it, without sending:
+   * { title, body, payload } with the channel template applied
+   */
+  preview(channel, event) {
+    const notifier = this.create(channel);
+    const prepared = notifier.prepare(event);
+    return {
+      title: prepared.title,
+      body: prepared.message,
+      payload: notifier.format(prepared)
+    };
+  }
+
+  /**
+   * Send an event to every enabled channel that accepts it.
+   * Returns one result per channel:
+   *   { channelId, type, status: 'sent' | 'skipped' | 'failed', error, httpStatus, latencyMs, payload }
+   * where the last three describe the delivery attempt (absent for skipped channels).
+   */
+  async dispatch(channels, event) {
+    return Promise.all(channels.map(channel => this.dispatchOne(channel, event)));
+  }
+
+  async dispatchOne(channel, event) {
+    const result = { channelId: channel.id, type: channel.type };
+    if (channel.enabled === false) {
+      return { ...result, status: 'skipped' };
+    }
+
+    let notifier = null;
+    const startedAt = Date.now();
+    const describeAttempt = () => ({
+      httpStatus: notifier.httpStatus,
+      latencyMs: Date.now() - startedAt,
+      payload: notifier.payload
+    });
+
+    try {
+      notifier = this.create(channel);
+      if (!notifier.accepts(event)) {
+        return { ...result, status: 'skipped' };
+      }
+
+      await notifier.send(event);
+      return { ...result, status: 'sent', ...describeAttempt() };
+    } catch (error) {
+      console.error(`Notification via ${channel.type} channel ${channel.id} failed:`, error);
+      return { ...result, status: 'failed', error: error.message, ...(notifier ? describeAttempt() : {}) };
+    }
+  }
+}
+
+export const notifierRegistry = new NotifierRegistry()
+  .register(BarkNotifier)
+  .register(WebhookNotifier)
+  .register(TelegramNotifier)
+  .register(DiscordNotifier)
+  .register(SlackNotifier)
+  .register(WeComNotifier)
+  .register(DingTalkNotifier)
+  .register(FeishuNotifier)
+  .register(ServerChanNotifier)
+  .register(NtfyNotifier)
+  .register(GotifyNotifier)
+  .register(EmailNotifier);
+
+/**
+ * Read the channels stored in app settings. Settings saved before channels
+ * existed only had a `webhooks` list, which is converted on the fly.
+ */
+export function getStoredChannels(settings) {
+  if (Array.isArray(settings.notificationChannels)) {
+    return settings.notificationChannels;
+  }
+
+  return (settings.webhooks || []).map((webhook, index) => ({
+    id: `webhook-${index + 1}`,
+    type: 'webhook',
+    name: 'Webhook',
+    enabled: true,
+    config: {
+      url: webhook.url,
+      secret: webhook.secret || '',
+      headers: webhook.headers || {}
+    }
+  }));
+}
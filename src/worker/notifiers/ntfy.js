@@ -0,0 +1,70 @@
+/**
+ * NtfyNotifier - Push notifications via ntfy (ntfy.sh or self-hosted)
+ *
+ * Messages are published as JSON to the server root so that titles and tags
+ * can contain non-ASCII text, which ntfy's header-based API does not allow.
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+import { toBase64 } from './signing.js';
+
+const PRIORITY_OPTIONS = [
+  { value: '1', label: '1 - min' },
+  { value: '2', label: '2 - low' },
+  { value: '3', label: '3 - default' },
+  { value: '4', label: '4 - high' },
+  { value: '5', label: '5 - urgent' }
+];
+
+const DEFAULT_PRIORITIES = { update: 3, error: 4 };
+
+// ntfy renders these tags as emoji in front of the title
+const DEFAULT_TAGS = { update: ['robot'], error: ['warning'] };
+
+export class NtfyNotifier extends BaseNotifier {
+  static type = 'ntfy';
+  static label = 'ntfy';
+  static fields = [
+    { name: 'topicUrl', label: 'Topic URL', type: 'url', required: true, secret: true, placeholder: 'https://ntfy.sh/your_topic' },
+    { name: 'token', label: '认证', type: 'password', secret: true, placeholder: 'tk_... 或 用户名:密码', help: '可选，受保护的 topic 需要访问令牌或用户名密码' },
+    { name: 'updatePriority', label: '更新通知优先级', type: 'select', options: PRIORITY_OPTIONS, help: '默认 3' },
+    { name: 'errorPriority', label: '错误通知优先级', type: 'select', options: PRIORITY_OPTIONS, help: '默认 4' },
+    { name: 'tags', label: '标签', type: 'text', placeholder: 'openrouter,free', help: '可选，多个标签用逗号分隔' }
+  ];
+
+  format(event) {
+    const tags = (this.config.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+    return {
+      title: event.title,
+      message: formatChangeMarkdown(event),
+      markdown: true,
+      priority: this.getPriority(event, DEFAULT_PRIORITIES),
+      tags: [...DEFAULT_TAGS[event.category], ...tags]
+    };
+  }
+
+  getAuthorizationHeader() {
+    const token = this.config.token;
+    if (!token) {
+      return {};
+    }
+    if (token.includes(':')) {
+      return { Authorization: `Basic ${toBase64(new TextEncoder().encode(token))}` };
+    }
+    return { Authorization: `Bearer ${token}` };
+  }
+
+  async deliver(message) {
+    // https://ntfy.example.com/path/topic -> POST https://ntfy.example.com/path with { topic }
+    const url = new URL(this.config.topicUrl);
+    const segments = url.pathname.split('/').filter(Boolean);
+    const topic = segments.pop();
+    if (!topic) {
+      throw new Error('ntfy Topic URL 缺少 topic');
+    }
+
+    const serverUrl = `${url.origin}/${segments.join('/')}`;
+    await this.postJson(serverUrl, { topic, ...message }, this.getAuthorizationHeader());
+  }
+}
@@ -0,0 +1,35 @@
+/**
+ * ServerChanNotifier - WeChat pushes via Server酱 (ServerChan Turbo and ServerChan³)
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+
+export class ServerChanNotifier extends BaseNotifier {
+  static type = 'serverchan';
+  static label = 'Server酱';
+  static fields = [
+    { name: 'sendKey', label: 'SendKey', type: 'password', required: true, secret: true, placeholder: 'SCT... 或 sctp...' }
+  ];
+
+  /**
+   * ServerChan³ keys (sctp<uid>t...) use a per-user host, Turbo keys use sctapi.ftqq.com
+   */
+  getSendUrl() {
+    const sendKey = this.config.sendKey;
+    const match = /^sctp(\d+)t/i.exec(sendKey);
+    return match
+      ? `https://${match[1]}.push.ft07.com/send/${sendKey}.send`
+      : `https://sctapi.ftqq.com/${sendKey}.send`;
+  }
+
+  format(event) {
+    return {
+      title: event.title,
+      desp: formatChangeMarkdown(event)
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJsonApi(this.getSendUrl(), payload, { codeField: 'code', messageField: 'message' });
+  }
+}
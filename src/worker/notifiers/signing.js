@@ -0,0 +1,27 @@
+/**
+ * HMAC helpers used by channels that sign their requests
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Compute an HMAC-SHA256 digest
+ */
+export async function hmacSha256(key, message) {
+  const cryptoKey = await crypto.subtle.importKey(
+    'raw',
+    encoder.encode(key),
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return new Uint8Array(await crypto.subtle.sign('HMAC', cryptoKey, encoder.encode(message)));
+}
+
+export function toHex(bytes) {
+  return [...bytes].map(byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export function toBase64(bytes) {
+  return btoa(String.fromCharCode(...bytes));
+}
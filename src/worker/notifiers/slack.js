@@ -0,0 +1,78 @@
+/**
+ * SlackNotifier - Block Kit messages via a Slack incoming webhook
+ */
+import { BaseNotifier } from './base.js';
+import { getModelUrl, formatModelDetails, isTextEvent } from './event.js';
+
+// Keep well under Slack's 50 block limit per message
+const MAX_MODELS_PER_SECTION = 20;
+
+function escapeSlack(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function buildModelBlocks(heading, models) {
+  if (models.length === 0) {
+    return [];
+  }
+
+  const blocks = [
+    { type: 'section', text: { type: 'mrkdwn', text: `*${heading} (${models.length})*` } }
+  ];
+
+  for (const model of models.slice(0, MAX_MODELS_PER_SECTION)) {
+    blocks.push({
+      type: 'section',
+      text: {
+        type: 'mrkdwn',
+        text: `*<${getModelUrl(model.id)}|${escapeSlack(model.name || model.id)}>*\n\`${escapeSlack(model.id)}\` · ${formatModelDetails(model)}`
+      }
+    });
+  }
+
+  if (models.length > MAX_MODELS_PER_SECTION) {
+    blocks.push({
+      type: 'context',
+      elements: [{ type: 'mrkdwn', text: `…以及其他 ${models.length - MAX_MODELS_PER_SECTION} 个模型` }]
+    });
+  }
+
+  return blocks;
+}
+
+export class SlackNotifier extends BaseNotifier {
+  static type = 'slack';
+  static label = 'Slack';
+  static fields = [
+    { name: 'webhookUrl', label: 'Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://hooks.slack.com/services/...' }
+  ];
+
+  format(event) {
+    const blocks = [
+      { type: 'header', text: { type: 'plain_text', text: event.title } }
+    ];
+
+    if (isTextEvent(event)) {
+      blocks.push({ type: 'section', text: { type: 'mrkdwn', text: escapeSlack(event.message) } });
+    } else {
+      blocks.push(...buildModelBlocks('🆕 新增免费模型', event.added));
+      if (event.added.length > 0 && event.removed.length > 0) {
+        blocks.push({ type: 'divider' });
+      }
+      blocks.push(...buildModelBlocks('❌ 失效免费模型', event.removed));
+    }
+
+    // `text` is the fallback shown in notifications and by clients without Block Kit
+    return {
+      text: `${event.title}: ${event.message}`,
+      blocks
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJson(this.config.webhookUrl, payload);
+  }
+}
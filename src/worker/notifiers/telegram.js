@@ -0,0 +1,141 @@
+/**
+ * TelegramNotifier - Messages via a Telegram bot
+ */
+import { BaseNotifier } from './base.js';
+import { isTextEvent } from './event.js';
+
+// sendMessage rejects longer texts
+const MAX_MESSAGE_LENGTH = 4096;
+
+// Room kept for the "…以及其他 N 个模型" line
+const OVERFLOW_LINE_LENGTH = 30;
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeMarkdown(value) {
+  return String(value ?? '').replace(/[_*[\]()~`>#+\-=|{}.!\\]/g, '\\$&');
+}
+
+// Inside MarkdownV2 code spans only ` and \ need escaping
+function escapeMarkdownCode(value) {
+  return String(value ?? '').replace(/[`\\]/g, '\\$&');
+}
+
+/**
+ * Escape `value` and cut it so the result fits `maxLength`, ending with "…"
+ */
+function fitText(value, escape, maxLength) {
+  const raw = String(value ?? '');
+  if (escape(raw).length <= maxLength) {
+    return escape(raw);
+  }
+
+  // Escaping lengthens the text, so search the longest raw prefix that fits
+  let low = 0;
+  let high = raw.length;
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2);
+    if (escape(raw.slice(0, middle)).length <= maxLength - 1) {
+      low = middle;
+    } else {
+      high = middle - 1;
+    }
+  }
+  return `${escape(raw.slice(0, low))}…`;
+}
+
+export class TelegramNotifier extends BaseNotifier {
+  static type = 'telegram';
+  static label = 'Telegram';
+  static fields = [
+    { name: 'botToken', label: 'Bot Token', type: 'password', required: true, secret: true, placeholder: '123456:ABC-DEF...' },
+    { name: 'chatId', label: 'Chat ID', type: 'text', required: true, placeholder: '-1001234567890 或 @channel' },
+    {
+      name: 'parseMode',
+      label: '消息格式',
+      type: 'select',
+      options: [
+        { value: 'HTML', label: 'HTML' },
+        { value: 'MarkdownV2', label: 'MarkdownV2' }
+      ]
+    },
+    { name: 'apiBaseUrl', label: 'Bot API 地址', type: 'url', placeholder: 'https://api.telegram.org', help: '可选，用于自建 Bot API 服务' }
+  ];
+
+  format(event) {
+    const markdown = this.config.parseMode === 'MarkdownV2';
+    const bold = text => (markdown ? `*${escapeMarkdown(text)}*` : `<b>${escapeHtml(text)}</b>`);
+    const text = value => (markdown ? escapeMarkdown(value) : escapeHtml(value));
+    const code = value => (markdown ? `\`${escapeMarkdownCode(value)}\`` : `<code>${escapeHtml(value)}</code>`);
+
+    const lines = [bold(event.title)];
+
+    if (isTextEvent(event)) {
+      lines.push('', fitText(event.message, text, MAX_MESSAGE_LENGTH - lines[0].length - 2));
+    } else {
+      const sections = [
+        [`🆕 新增免费模型 (${event.added.length})`, event.added],
+        [`❌ 失效免费模型 (${event.removed.length})`, event.removed]
+      ].filter(([, models]) => models.length > 0);
+
+      // Sections share what is left of the message length
+      let remaining = MAX_MESSAGE_LENGTH - lines[0].length;
+      for (const [sectionIndex, [heading, models]] of sections.entries()) {
+        const maxLength = Math.floor(remaining / (sections.length - sectionIndex));
+        const sectionLines = ['', bold(heading)];
+        let length = sectionLines.join('\n').length + 1;
+
+        for (const [index, model] of models.entries()) {
+          const line = `• ${text(model.name || model.id)} ${text('—')} ${code(model.id)}`;
+          if (length + line.length + 1 > maxLength - OVERFLOW_LINE_LENGTH) {
+            sectionLines.push(text(`…以及其他 ${models.length - index} 个模型`));
+            break;
+          }
+          sectionLines.push(line);
+          length += line.length + 1;
+        }
+
+        remaining -= sectionLines.join('\n').length + 1;
+        lines.push(...sectionLines);
+      }
+    }
+
+    return {
+      text: lines.join('\n'),
+      parseMode: markdown ? 'MarkdownV2' : 'HTML'
+    };
+  }
+
+  async deliver({ text, parseMode }) {
+    const apiBaseUrl = (this.config.apiBaseUrl || 'https://api.telegram.org').replace(/\/+$/, '');
+    const response = await this.request(`${apiBaseUrl}/bot${this.config.botToken}/sendMessage`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'OpenRouter-Monitor/1.0'
+      },
+      body: JSON.stringify({
+        chat_id: this.config.chatId,
+        text,
+        parse_mode: parseMode,
+        disable_web_page_preview: true
+      })
+    });
+
+    if (!response.ok) {
+      // The Bot API explains failures in the `description` field
+      let description = response.statusText;
+      try {
+        description = (await response.json()).description || description;
+      } catch (error) {
+        // Keep the status text
+      }
+      throw new Error(`Telegram 推送失败: ${response.status} ${description}`);
+    }
+  }
+}
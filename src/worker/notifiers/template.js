@@ -0,0 +1,222 @@
+/**
+ * Per-channel message templates for free tier notifications
+ *
+ * A channel may carry `template: { language: 'zh' | 'en', title, body }`. Title
+ * and body use Mustache-style placeholders:
+ *
+ *   {{added_count}} {{removed_count}} {{added_names}} {{removed_names}}
+ *   {{added_list}} {{removed_list}} {{timestamp}} {{default_title}}
+ *   {{#added}} ... {{/added}}   once per model, with {{name}} {{id}} {{url}}
+ *                               {{prompt_price}} {{completion_price}} {{context_length}}
+ *   {{#added_count}} ... {{/added_count}}   only when there are added models
+ *   {{^removed_count}} ... {{/removed_count}}   only when there are none
+ *
+ * Templates apply to change and test events. An empty title or body falls back
+ * to the language's default, and a channel with neither keeps the built-in
+ * per-channel layout unless it asks for English.
+ */
+
+import { formatPrice, getModelUrl } from './event.js';
+
+export const TEMPLATE_LANGUAGES = ['zh', 'en'];
+
+const MAX_TITLE_LENGTH = 200;
+const MAX_BODY_LENGTH = 4000;
+
+const STRINGS = {
+  zh: {
+    title: 'OpenRouter免费模型更新',
+    input: '输入',
+    output: '输出',
+    context: '上下文',
+    free: '免费',
+    separator: '、'
+  },
+  en: {
+    title: 'OpenRouter free models update',
+    input: 'input',
+    output: 'output',
+    context: 'context',
+    free: 'free',
+    separator: ', '
+  }
+};
+
+export const DEFAULT_TEMPLATES = {
+  zh: {
+    title: '{{default_title}}',
+    body: '{{#added_count}}🆕 新增免费模型 ({{added_count}})\n{{added_list}}{{/added_count}}' +
+      '{{#removed_count}}{{#added_count}}\n\n{{/added_count}}❌ 失效免费模型 ({{removed_count}})\n{{removed_list}}{{/removed_count}}'
+  },
+  en: {
+    title: '{{default_title}}',
+    body: '{{#added_count}}🆕 New free models ({{added_count}})\n{{added_list}}{{/added_count}}' +
+      '{{#removed_count}}{{#added_count}}\n\n{{/added_count}}❌ Removed free models ({{removed_count}})\n{{removed_list}}{{/removed_count}}'
+  }
+};
+
+const MODEL_PLACEHOLDERS = ['name', 'id', 'url', 'prompt_price', 'completion_price', 'context_length'];
+const EVENT_PLACEHOLDERS = [
+  'added', 'removed', 'added_count', 'removed_count', 'added_names', 'removed_names',
+  'added_list', 'removed_list', 'timestamp', 'default_title'
+];
+
+export const TEMPLATE_PLACEHOLDERS = [...EVENT_PLACEHOLDERS, ...MODEL_PLACEHOLDERS];
+
+const SECTION_PATTERN = /\{\{([#^])(\w+)\}\}([\s\S]*?)\{\{\/\2\}\}/g;
+const VARIABLE_PATTERN = /\{\{(\w+)\}\}/g;
+
+function getLanguage(template) {
+  return template && template.language === 'en' ? 'en' : 'zh';
+}
+
+function formatLocalizedPrice(price, language) {
+  const formatted = formatPrice(price);
+  return formatted === STRINGS.zh.free ? STRINGS[language].free : formatted;
+}
+
+function buildModelContext(model, language) {
+  const pricing = model.pricing || {};
+  return {
+    name: model.name || model.id,
+    id: model.id,
+    url: getModelUrl(model.id),
+    prompt_price: formatLocalizedPrice(pricing.prompt, language),
+    completion_price: formatLocalizedPrice(pricing.completion, language),
+    context_length: model.context_length ? Number(model.context_length).toLocaleString('en-US') : '-'
+  };
+}
+
+function formatModelLine(model, language) {
+  const strings = STRINGS[language];
+  const parts = [`${strings.input} ${model.prompt_price} / ${strings.output} ${model.completion_price}`];
+  if (model.context_length !== '-') {
+    parts.push(`${strings.context} ${model.context_length}`);
+  }
+  return `- ${model.name} (${model.id}) · ${parts.join(' · ')} · ${model.url}`;
+}
+
+/**
+ * Placeholder values for an event
+ */
+export function buildTemplateContext(event, language = 'zh') {
+  const strings = STRINGS[language];
+  const models = list => list.map(model => buildModelContext(model, language));
+  const added = models(event.added);
+  const removed = models(event.removed);
+
+  return {
+    added,
+    removed,
+    added_count: added.length,
+    removed_count: removed.length,
+    added_names: added.map(model => model.name).join(strings.separator),
+    removed_names: removed.map(model => model.name).join(strings.separator),
+    added_list: added.map(model => formatModelLine(model, language)).join('\n'),
+    removed_list: removed.map(model => formatModelLine(model, language)).join('\n'),
+    timestamp: event.timestamp,
+    default_title: strings.title
+  };
+}
+
+/**
+ * Render a template string. Sections over arrays repeat once per item, other
+ * sections render when the value is truthy (`#`) or falsy (`^`).
+ */
+export function renderTemplate(source, context) {
+  const withSections = source.replace(SECTION_PATTERN, (match, mode, name, inner) => {
+    const value = context[name];
+    const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+
+    if (mode === '^') {
+      return truthy ? '' : renderTemplate(inner, context);
+    }
+    if (!truthy) {
+      return '';
+    }
+    if (Array.isArray(value)) {
+      return value.map(item => renderTemplate(inner, { ...context, ...item })).join('');
+    }
+    return renderTemplate(inner, context);
+  });
+
+  return withSections.replace(VARIABLE_PATTERN, (match, name) => {
+    const value = context[name];
+    return value === undefined || value === null || Array.isArray(value) ? '' : String(value);
+  });
+}
+
+/**
+ * Whether a channel template changes anything
+ */
+export function hasTemplate(template) {
+  return Boolean(template && (template.title || template.body || template.language === 'en'));
+}
+
+/**
+ * Render a channel's title and body for an event
+ */
+export function renderEventTemplate(event, template) {
+  const language = getLanguage(template);
+  const context = buildTemplateContext(event, language);
+  return {
+    title: renderTemplate((template && template.title) || DEFAULT_TEMPLATES[language].title, context).trim(),
+    body: renderTemplate((template && template.body) || DEFAULT_TEMPLATES[language].body, context).trim()
+  };
+}
+
+/**
+ * Apply a channel template to an event. Returns the event unchanged when the
+ * template does not apply, otherwise a copy rendered as a text event.
+ */
+export function applyTemplate(event, template) {
+  if (!hasTemplate(template) || (event.kind !== 'change' && event.kind !== 'test')) {
+    return event;
+  }
+
+  const { title, body } = renderEventTemplate(event, template);
+  return {
+    ...event,
+    title,
+    message: body,
+    markdown: body,
+    templated: true
+  };
+}
+
+/**
+ * Validate a channel template, returning an error message or null
+ */
+export function validateTemplate(template) {
+  if (template === undefined || template === null) {
+    return null;
+  }
+  if (typeof template !== 'object' || Array.isArray(template)) {
+    return '消息模板格式错误';
+  }
+  if (template.language !== undefined && !TEMPLATE_LANGUAGES.includes(template.language)) {
+    return `消息模板语言必须是 ${TEMPLATE_LANGUAGES.join(' 或 ')}`;
+  }
+
+  for (const [field, label, maxLength] of [['title', '标题', MAX_TITLE_LENGTH], ['body', '正文', MAX_BODY_LENGTH]]) {
+    const value = template[field];
+    if (value === undefined || value === '') {
+      continue;
+    }
+    if (typeof value !== 'string') {
+      return `消息模板${label}必须是字符串`;
+    }
+    if (value.length > maxLength) {
+      return `消息模板${label}不能超过 ${maxLength} 个字符`;
+    }
+
+    const unknown = [...value.matchAll(/\{\{[#^/]?(\w+)\}\}/g)]
+      .map(match => match[1])
+      .filter(name => !TEMPLATE_PLACEHOLDERS.includes(name));
+    if (unknown.length > 0) {
+      return `消息模板${label}包含未知占位符: ${[...new Set(unknown)].map(name => `{{${name}}}`).join(', ')}`;
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,89 @@
+/**
+ * WebhookNotifier - POSTs JSON change payloads to an arbitrary URL
+ *
+ * When a secret is configured, requests carry:
+ *   X-OpenRouter-Monitor-Timestamp: <unix seconds>
+ *   X-OpenRouter-Monitor-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">
+ */
+import { BaseNotifier } from './base.js';
+import { hmacSha256, toHex } from './signing.js';
+
+/**
+ * Compute the hex HMAC-SHA256 signature of a payload body
+ */
+export async function signPayload(secret, timestamp, body) {
+  return toHex(await hmacSha256(secret, `${timestamp}.${body}`));
+}
+
+export class WebhookNotifier extends BaseNotifier {
+  static type = 'webhook';
+  static label = 'Webhook';
+
+  // Structured payloads are not rendered from message templates
+  static templates = false;
+
+  static fields = [
+    { name: 'url', label: 'URL', type: 'url', required: true, placeholder: 'https://example.com/hooks/openrouter' },
+    { name: 'secret', label: '签名密钥', type: 'password', secret: true, help: 'HMAC-SHA256 签名密钥，可选' },
+    { name: 'headers', label: '自定义请求头 (JSON)', type: 'json', secret: true, placeholder: '{"X-Team": "ml"}', help: '请求头的值按密钥处理，保存后显示为 ********' }
+  ];
+
+  /**
+   * Webhooks receive every change; receivers decide what matters to them
+   */
+  accepts(event) {
+    return event.kind !== 'change' || event.events.length > 0;
+  }
+
+  format(event) {
+    if (event.kind === 'error') {
+      return {
+        event: 'monitor.error',
+        timestamp: event.timestamp,
+        message: event.message
+      };
+    }
+
+    if (event.kind === 'rule') {
+      return {
+        event: 'rule.matched',
+        timestamp: event.timestamp,
+        rule: event.rule,
+        events: event.events
+      };
+    }
+
+    if (event.kind === 'watch') {
+      return {
+        event: 'watchlist.changed',
+        timestamp: event.timestamp,
+        events: event.events
+      };
+    }
+
+    return {
+      event: event.kind === 'test' ? 'models.test' : 'models.changed',
+      timestamp: event.timestamp,
+      previousTimestamp: event.previousTimestamp || null,
+      summary: event.summary,
+      freeModels: {
+        added: event.added,
+        removed: event.removed
+      },
+      events: event.events
+    };
+  }
+
+  async deliver(payload) {
+    const body = JSON.stringify(payload);
+    const headers = { ...(this.config.headers || {}) };
+
+    if (this.config.secret) {
+      const timestamp = Math.floor(Date.now() / 1000).toString();
+      headers['X-OpenRouter-Monitor-Timestamp'] = timestamp;
+      headers['X-OpenRouter-Monitor-Signature'] = 'sha256=' + await signPayload(this.config.secret, timestamp, body);
+    }
+
+    await this.postJson(this.config.url, body, headers);
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * WeComNotifier - Markdown messages via a WeCom (企业微信) group robot
+ */
+import { BaseNotifier } from './base.js';
+import { formatChangeMarkdown } from './event.js';
+
+// WeCom rejects markdown content longer than 4096 bytes
+const MAX_CONTENT_BYTES = 4000;
+
+function truncateUtf8(text, maxBytes) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(text).length <= maxBytes) {
+    return text;
+  }
+
+  let result = text;
+  while (encoder.encode(result + '\n…').length > maxBytes) {
+    result = result.slice(0, result.lastIndexOf('\n'));
+  }
+  return result + '\n…';
+}
+
+export class WeComNotifier extends BaseNotifier {
+  static type = 'wecom';
+  static label = '企业微信';
+  static fields = [
+    { name: 'webhookUrl', label: '机器人 Webhook URL', type: 'url', required: true, secret: true, placeholder: 'https://qyapi.weixin.qq.com/cgi-bin/webhook/send?key=...' }
+  ];
+
+  format(event) {
+    return {
+      msgtype: 'markdown',
+      markdown: {
+        content: truncateUtf8(`## ${event.title}\n${formatChangeMarkdown(event)}`, MAX_CONTENT_BYTES)
+      }
+    };
+  }
+
+  async deliver(payload) {
+    await this.postJsonApi(this.config.webhookUrl, payload, { codeField: 'errcode', messageField: 'errmsg' });
+  }
+}
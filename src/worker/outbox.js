@@ -0,0 +1,195 @@
+/**
+ * NotificationOutbox - Retries failed notifications with exponential backoff
+ *
+ * A delivery that fails is stored in the `notification_outbox` key together with
+ * its event and retried by later cron ticks, waiting 1, 2, 4, ... minutes (capped
+ * at an hour) between attempts. Once `NOTIFICATION_MAX_ATTEMPTS` attempts have
+ * failed, or the channel no longer exists, the delivery moves to the
+ * `notification_failures` dead-letter list.
+ *
+ * Entries reference channels by ID and resolve them again on every retry, so
+ * stored entries never contain channel secrets and pick up config fixes. Every
+ * attempt is also written to the delivery log.
+ */
+
+import { notifierRegistry } from './notifiers/index.js';
+import { SUBSCRIPTION_CHANNEL_PREFIX } from './subscriptions.js';
+
+const OUTBOX_KEY = 'notification_outbox';
+const FAILURES_KEY = 'notification_failures';
+
+const DEFAULT_MAX_ATTEMPTS = 6;
+const BASE_DELAY_MS = 60 * 1000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+
+// Oldest entries are dead-lettered / dropped beyond these sizes
+const MAX_OUTBOX_ENTRIES = 100;
+const MAX_FAILURES = 100;
+
+/**
+ * Wait before the next attempt after `attempts` failed ones
+ */
+export function getRetryDelay(attempts) {
+  return Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+}
+
+/**
+ * Entries as shown to anonymous readers: subscriber deliveries are left out and
+ * the event is reduced to its kind and title
+ */
+export function redactEntries(entries) {
+  return entries
+    .filter(entry => !String(entry.channelId).startsWith(SUBSCRIPTION_CHANNEL_PREFIX))
+    .map(({ event, ...entry }) => ({ ...entry, kind: event && event.kind, title: event && event.title }));
+}
+
+export class NotificationOutbox {
+  constructor(env, deliveryLog) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+    this.deliveryLog = deliveryLog;
+
+    const maxAttempts = parseInt(env.NOTIFICATION_MAX_ATTEMPTS, 10);
+    this.maxAttempts = Number.isNaN(maxAttempts) || maxAttempts < 1 ? DEFAULT_MAX_ATTEMPTS : maxAttempts;
+  }
+
+  async getEntries() {
+    const data = await this.kv.get(OUTBOX_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  async getFailures() {
+    const data = await this.kv.get(FAILURES_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  async clearFailures() {
+    await this.kv.put(FAILURES_KEY, JSON.stringify([]));
+  }
+
+  async addFailures(entries, now) {
+    if (entries.length === 0) {
+      return;
+    }
+
+    const failures = await this.getFailures();
+    const failedAt = new Date(now).toISOString();
+    failures.unshift(...entries.map(({ nextAttemptAt, ...entry }) => ({ ...entry, failedAt })).reverse());
+    await this.kv.put(FAILURES_KEY, JSON.stringify(failures.slice(0, MAX_FAILURES)));
+  }
+
+  /**
+   * Store failed dispatch results for retry. `items` are { result, event } pairs
+   * where `result` is a failed entry returned by `NotifierRegistry.dispatch`.
+   */
+  async enqueue(items, now = Date.now()) {
+    if (items.length === 0) {
+      return;
+    }
+
+    let entries = await this.getEntries();
+    const deadLetters = [];
+    const attemptedAt = new Date(now).toISOString();
+
+    for (const { result, event } of items) {
+      const entry = {
+        id: crypto.randomUUID(),
+        channelId: result.channelId,
+        type: result.type,
+        event,
+        attempts: 1,
+        firstAttemptAt: attemptedAt,
+        lastAttemptAt: attemptedAt,
+        nextAttemptAt: new Date(now + getRetryDelay(1)).toISOString(),
+        lastError: result.error
+      };
+
+      if (this.maxAttempts <= 1) {
+        deadLetters.push(entry);
+        continue;
+      }
+
+      // Only the latest error is worth repeating
+      if (event.kind === 'error') {
+        entries = entries.filter(item => item.channelId !== entry.channelId || item.event.kind !== 'error');
+      }
+      entries.push(entry);
+    }
+
+    if (entries.length > MAX_OUTBOX_ENTRIES) {
+      const overflow = entries.splice(0, entries.length - MAX_OUTBOX_ENTRIES);
+      deadLetters.push(...overflow.map(entry => ({ ...entry, lastError: `${entry.lastError}（重试队列已满）` })));
+    }
+
+    await this.kv.put(OUTBOX_KEY, JSON.stringify(entries));
+    await this.addFailures(deadLetters, now);
+  }
+
+  /**
+   * Log first delivery attempts and keep the failed ones for retry. `items` are
+   * { result, event } pairs for every dispatched channel.
+   */
+  async settle(items, now = Date.now()) {
+    await this.deliveryLog.record(items, now);
+    await this.enqueue(items.filter(({ result }) => result.status === 'failed'), now);
+  }
+
+  /**
+   * Dispatch an event like `NotifierRegistry.dispatch`, keeping failed
+   * deliveries for retry
+   */
+  async dispatch(channels, event) {
+    const results = await notifierRegistry.dispatch(channels, event);
+    await this.settle(results.map(result => ({ result, event })));
+    return results;
+  }
+
+  /**
+   * Retry the entries that are due. `resolveChannel(channelId)` returns the
+   * current channel or null when it was deleted. Returns the dispatch results.
+   */
+  async retry(resolveChannel, now = Date.now()) {
+    const entries = await this.getEntries();
+    const due = entries.filter(entry => Date.parse(entry.nextAttemptAt) <= now);
+    if (due.length === 0) {
+      return [];
+    }
+
+    const remaining = entries.filter(entry => !due.includes(entry));
+    const deadLetters = [];
+    const results = [];
+    const logItems = [];
+    const attemptedAt = new Date(now).toISOString();
+
+    for (const entry of due) {
+      const channel = await resolveChannel(entry.channelId);
+      if (!channel || channel.enabled === false) {
+        deadLetters.push({ ...entry, lastError: '通知通道已删除或停用' });
+        continue;
+      }
+
+      const [result] = await notifierRegistry.dispatch([channel], entry.event);
+      const attempts = entry.attempts + 1;
+      results.push(result);
+      logItems.push({ result, event: entry.event, attempt: attempts });
+      if (result.status !== 'failed') {
+        continue;
+      }
+
+      const updated = { ...entry, attempts, lastAttemptAt: attemptedAt, lastError: result.error };
+      if (attempts >= this.maxAttempts) {
+        deadLetters.push(updated);
+      } else {
+        remaining.push({ ...updated, nextAttemptAt: new Date(now + getRetryDelay(attempts)).toISOString() });
+      }
+    }
+
+    await this.kv.put(OUTBOX_KEY, JSON.stringify(remaining));
+    await this.addFailures(deadLetters, now);
+    await this.deliveryLog.record(logItems, now);
+
+    const sent = results.filter(result => result.status !== 'failed').length;
+    console.log(`Retried ${due.length} queued notifications: ${sent} delivered, ${deadLetters.length} dead-lettered`);
+    return results;
+  }
+}
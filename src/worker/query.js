@@ -0,0 +1,210 @@
+/**
+ * Server-side filtering, sorting and pagination of the model catalog
+ *
+ * `parseModelQuery` turns URL search params into a query, `queryModels` applies
+ * it to `allModels`. Pages are addressed by an opaque cursor holding the sort
+ * value and ID of the last model of the previous page; the next page starts at
+ * the first model after that position, so pages stay stable when models are
+ * added or removed. Paged queries without a sort are ordered by ID.
+ */
+
+import { isFreeModel, getProvider } from './models.js';
+
+export const MODEL_SORTS = ['created', 'name', 'id', 'pricing', 'context'];
+
+// Same default directions as the web UI sort select
+const DEFAULT_ORDERS = {
+  created: 'desc',
+  name: 'asc',
+  id: 'asc',
+  pricing: 'asc',
+  context: 'desc'
+};
+
+const MAX_LIMIT = 1000;
+
+export function parseList(value) {
+  return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+function parseBoolean(value) {
+  if (['1', 'true', 'yes'].includes(value)) return true;
+  if (['0', 'false', 'no'].includes(value)) return false;
+  return undefined;
+}
+
+/**
+ * Parse /api/models query parameters. Returns { query } or { error, message }.
+ *
+ *   free              1/true or 0/false
+ *   q                 case-insensitive search in name, ID and description
+ *   provider          comma-separated provider slugs (any of)
+ *   modality          comma-separated input/output modalities (all of), or a full
+ *                     modality string such as text+image->text
+ *   min_context       minimum context length
+ *   max_prompt_price  maximum prompt price in USD per token, as in pricing.prompt
+ *   supports          comma-separated supported_parameters (all of)
+ *   sort / order      one of MODEL_SORTS, asc / desc
+ *   limit / cursor    page size and the cursor returned with the previous page
+ */
+export function parseModelQuery(params) {
+  const query = {
+    q: (params.get('q') || '').trim().toLowerCase(),
+    providers: parseList(params.get('provider')),
+    modalities: parseList(params.get('modality')),
+    supports: parseList(params.get('supports')),
+    cursor: params.get('cursor') || null
+  };
+
+  if (params.has('free')) {
+    query.free = parseBoolean(params.get('free'));
+    if (query.free === undefined) {
+      return { error: 'Invalid free parameter', message: 'Use 1/true or 0/false' };
+    }
+  }
+
+  for (const [name, key] of [['min_context', 'minContext'], ['max_prompt_price', 'maxPromptPrice']]) {
+    if (!params.has(name)) continue;
+    const value = Number(params.get(name));
+    if (params.get(name) === '' || Number.isNaN(value) || value < 0) {
+      return { error: `Invalid ${name} parameter`, message: 'Use a non-negative number' };
+    }
+    query[key] = value;
+  }
+
+  query.sort = params.get('sort') || null;
+  if (query.sort && !MODEL_SORTS.includes(query.sort)) {
+    return { error: 'Invalid sort parameter', message: `Expected one of: ${MODEL_SORTS.join(', ')}` };
+  }
+
+  query.order = params.get('order') || (query.sort ? DEFAULT_ORDERS[query.sort] : 'asc');
+  if (!['asc', 'desc'].includes(query.order)) {
+    return { error: 'Invalid order parameter', message: 'Expected asc or desc' };
+  }
+
+  if (params.has('limit')) {
+    const limit = parseInt(params.get('limit'), 10);
+    if (Number.isNaN(limit) || limit < 1) {
+      return { error: 'Invalid limit parameter', message: `Use a number between 1 and ${MAX_LIMIT}` };
+    }
+    query.limit = Math.min(limit, MAX_LIMIT);
+  }
+
+  return { query };
+}
+
+function hasModality(model, modality) {
+  const architecture = model.architecture || {};
+  if (modality.includes('->')) {
+    return architecture.modality === modality;
+  }
+  return (architecture.input_modalities || []).includes(modality) ||
+    (architecture.output_modalities || []).includes(modality);
+}
+
+function matchesQuery(model, query) {
+  if (query.free !== undefined && isFreeModel(model) !== query.free) {
+    return false;
+  }
+
+  if (query.q) {
+    const fields = [model.name, model.id, model.description];
+    if (!fields.some(field => field && field.toLowerCase().includes(query.q))) {
+      return false;
+    }
+  }
+
+  if (query.providers.length > 0 && !query.providers.includes(getProvider(model.id))) {
+    return false;
+  }
+  if (!query.modalities.every(modality => hasModality(model, modality))) {
+    return false;
+  }
+  if (!query.supports.every(parameter => (model.supported_parameters || []).includes(parameter))) {
+    return false;
+  }
+  if (query.minContext !== undefined && (Number(model.context_length) || 0) < query.minContext) {
+    return false;
+  }
+  if (query.maxPromptPrice !== undefined && parseFloat((model.pricing || {}).prompt || '0') > query.maxPromptPrice) {
+    return false;
+  }
+
+  return true;
+}
+
+function getSortValue(model, sort) {
+  switch (sort) {
+    case 'created':
+      return parseInt(model.created || '0', 10) || 0;
+    case 'name':
+      return model.name || model.id || '';
+    case 'pricing':
+      return parseFloat(model.pricing?.prompt || '0') || 0;
+    case 'context':
+      return parseInt(model.context_length || '0', 10) || 0;
+    default:
+      return model.id || '';
+  }
+}
+
+function compareValues(a, b) {
+  return typeof a === 'string' ? a.localeCompare(b) : a - b;
+}
+
+// Cursors are base64url-encoded JSON [sortValue, id]
+function encodeCursor(position) {
+  const bytes = new TextEncoder().encode(JSON.stringify(position));
+  return btoa(String.fromCharCode(...bytes)).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeCursor(cursor, sort) {
+  try {
+    const binary = atob(cursor.replace(/-/g, '+').replace(/_/g, '/'));
+    const position = JSON.parse(new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0))));
+    if (Array.isArray(position) && position.length === 2 && typeof position[1] === 'string' &&
+      typeof position[0] === typeof getSortValue({}, sort)) {
+      return position;
+    }
+  } catch (error) {
+    // Falls through to the invalid cursor result
+  }
+  return null;
+}
+
+/**
+ * Apply a parsed query to the catalog. Returns { models, matchedCount, nextCursor },
+ * or { error, message } when the cursor can't be read for this sort.
+ */
+export function queryModels(allModels, query) {
+  let models = allModels.filter(model => matchesQuery(model, query));
+
+  // Paging needs a defined order, catalog order is used only for whole lists
+  const sort = query.sort || (query.limit || query.cursor ? 'id' : null);
+  const direction = query.order === 'desc' ? -1 : 1;
+  // Ties are broken by ID so cursors stay unambiguous
+  const comparePositions = ([valueA, idA], [valueB, idB]) => direction * compareValues(valueA, valueB) || idA.localeCompare(idB);
+  const getPosition = model => [getSortValue(model, sort), model.id || ''];
+
+  if (sort) {
+    models = models.sort((a, b) => comparePositions(getPosition(a), getPosition(b)));
+  }
+
+  const matchedCount = models.length;
+  if (query.cursor) {
+    const cursor = decodeCursor(query.cursor, sort);
+    if (!cursor) {
+      return { error: 'Invalid cursor parameter', message: 'Use the nextCursor of the previous page with the same sort' };
+    }
+    const index = models.findIndex(model => comparePositions(getPosition(model), cursor) > 0);
+    models = index === -1 ? [] : models.slice(index);
+  }
+
+  let nextCursor = null;
+  if (query.limit && models.length > query.limit) {
+    models = models.slice(0, query.limit);
+    nextCursor = encodeCursor(getPosition(models[models.length - 1]));
+  }
+
+  return { models, matchedCount, nextCursor };
+}
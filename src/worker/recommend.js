@@ -0,0 +1,181 @@
+/**
+ * Free model recommendations for given requirements
+ *
+ * Hard requirements (minimum context, input modalities, supported parameters)
+ * filter the current free models; the rest are ranked by a score built from
+ * provider preference, context length, how long the model has been listed and
+ * whether it recently flapped out of the catalog. Every model comes with the
+ * reasons behind its score, and a fallback chain picks the best model of each
+ * provider first so one provider outage does not take out the whole chain.
+ */
+
+import { getProvider } from './models.js';
+import { parseList } from './query.js';
+
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+const DEFAULT_FALLBACKS = 3;
+const MAX_FALLBACKS = 10;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseCount(params, name, fallback, max) {
+  if (!params.has(name)) {
+    return { value: fallback };
+  }
+  const value = parseInt(params.get(name), 10);
+  if (Number.isNaN(value) || value < 1) {
+    return { error: `Invalid ${name} parameter`, message: `Use a number between 1 and ${max}` };
+  }
+  return { value: Math.min(value, max) };
+}
+
+/**
+ * Parse /api/recommend query parameters. Returns { requirements } or { error, message }.
+ *
+ *   min_context  minimum context length
+ *   modality     comma-separated input modalities the model must accept, e.g. image
+ *   supports     comma-separated supported_parameters the model must have
+ *   provider     comma-separated preferred providers, most preferred first
+ *   limit        number of ranked models to return
+ *   fallbacks    length of the suggested fallback chain
+ */
+export function parseRecommendQuery(params) {
+  const requirements = {
+    minContext: 0,
+    modalities: parseList(params.get('modality')),
+    supports: parseList(params.get('supports')),
+    providers: parseList(params.get('provider'))
+  };
+
+  if (params.has('min_context')) {
+    const value = Number(params.get('min_context'));
+    if (params.get('min_context') === '' || Number.isNaN(value) || value < 0) {
+      return { error: 'Invalid min_context parameter', message: 'Use a non-negative number' };
+    }
+    requirements.minContext = value;
+  }
+
+  for (const [name, fallback, max] of [['limit', DEFAULT_LIMIT, MAX_LIMIT], ['fallbacks', DEFAULT_FALLBACKS, MAX_FALLBACKS]]) {
+    const { value, error, message } = parseCount(params, name, fallback, max);
+    if (error) {
+      return { error, message };
+    }
+    requirements[name] = value;
+  }
+
+  return { requirements };
+}
+
+function meetsRequirements(model, requirements) {
+  const inputModalities = (model.architecture || {}).input_modalities || [];
+  const parameters = model.supported_parameters || [];
+
+  return (Number(model.context_length) || 0) >= requirements.minContext &&
+    requirements.modalities.every(modality => inputModalities.includes(modality)) &&
+    requirements.supports.every(parameter => parameters.includes(parameter));
+}
+
+/**
+ * Score a model that meets the requirements, returning { score, reasons }
+ */
+function scoreModel(model, requirements, { flapping, firstSeen, now }) {
+  const reasons = [];
+  let score = 0;
+
+  const provider = getProvider(model.id);
+  const preference = requirements.providers.indexOf(provider);
+  if (preference !== -1) {
+    score += Math.max(30 - preference * 5, 10);
+    reasons.push(preference === 0 ? `Preferred provider ${provider}` : `Preferred provider ${provider} (choice ${preference + 1})`);
+  }
+
+  // 8K scores nothing, every doubling adds 5 points up to 256K
+  const context = Number(model.context_length) || 0;
+  if (context > 0) {
+    score += Math.min(25, Math.max(0, Math.log2(context / 8192) * 5));
+    reasons.push(`${context.toLocaleString('en-US')} token context`);
+  }
+
+  const listedSince = firstSeen[model.id] ? Date.parse(firstSeen[model.id]) : NaN;
+  if (!Number.isNaN(listedSince)) {
+    const days = Math.floor((now - listedSince) / DAY_MS);
+    if (days >= 30) {
+      score += 10;
+      reasons.push(`Listed for ${days} days`);
+    } else if (days >= 7) {
+      score += 5;
+      reasons.push(`Listed for ${days} days`);
+    } else {
+      reasons.push(`Recently listed (${days} days ago)`);
+    }
+  }
+
+  const flaps = flapping[model.id] ? flapping[model.id].flaps : 0;
+  if (flaps > 0) {
+    score -= Math.min(flaps * 10, 30);
+    reasons.push(`Unstable: dropped out of the catalog ${flaps} time${flaps === 1 ? '' : 's'} recently`);
+  }
+
+  const met = [
+    requirements.minContext > 0 ? `context ≥ ${requirements.minContext}` : null,
+    ...requirements.modalities.map(modality => `${modality} input`),
+    ...requirements.supports
+  ].filter(Boolean);
+  if (met.length > 0) {
+    reasons.unshift(`Meets requirements: ${met.join(', ')}`);
+  }
+
+  return { score: Math.round(score * 10) / 10, reasons };
+}
+
+/**
+ * Pick up to `length` models, best of each provider first, then fill up in rank order
+ */
+export function buildFallbackChain(ranked, length) {
+  const chain = [];
+  const providers = new Set();
+
+  for (const item of ranked) {
+    if (chain.length >= length) break;
+    if (!providers.has(item.provider)) {
+      providers.add(item.provider);
+      chain.push(item.id);
+    }
+  }
+  for (const item of ranked) {
+    if (chain.length >= length) break;
+    if (!chain.includes(item.id)) {
+      chain.push(item.id);
+    }
+  }
+
+  return chain;
+}
+
+/**
+ * Rank free models against parsed requirements. `flapping` is FlapGuard's map
+ * and `firstSeen` the model_first_seen map. Models that are currently missing
+ * from the catalog are skipped.
+ */
+export function recommendModels(freeModels, requirements, { flapping = {}, firstSeen = {}, now = Date.now() } = {}) {
+  const ranked = freeModels
+    .filter(model => !(flapping[model.id] && flapping[model.id].missing))
+    .filter(model => meetsRequirements(model, requirements))
+    .map(model => ({
+      id: model.id,
+      name: model.name || model.id,
+      provider: getProvider(model.id),
+      context_length: Number(model.context_length) || null,
+      input_modalities: (model.architecture || {}).input_modalities || [],
+      supported_parameters: model.supported_parameters || [],
+      ...scoreModel(model, requirements, { flapping, firstSeen, now })
+    }))
+    .sort((a, b) => b.score - a.score || (b.context_length || 0) - (a.context_length || 0) || a.id.localeCompare(b.id));
+
+  return {
+    models: ranked.slice(0, requirements.limit).map((item, index) => ({ rank: index + 1, ...item })),
+    matchedCount: ranked.length,
+    fallbackChain: buildFallbackChain(ranked, requirements.fallbacks)
+  };
+}
@@ -0,0 +1,215 @@
+/**
+ * Notification rules - user-defined conditions evaluated against each run's diff
+ *
+ * Rules are stored in `app_settings.rules`:
+ *   {
+ *     id, name, enabled,
+ *     changeTypes: ['price_drop', ...],   // any of RULE_CHANGE_TYPES; empty matches any change
+ *     conditions: [{ field, op, value }], // all must hold, evaluated against the event's model
+ *     channels: ['channel-id', ...]       // notification channels the rule routes to
+ *   }
+ *
+ * Condition fields are dotted paths into the model summary (`id`, `name`,
+ * `context_length`, `pricing.prompt`, `architecture.modality`,
+ * `supported_parameters`, ...) plus the derived `provider` and `free`.
+ */
+
+import { classifyEvent, getChangesOfKind } from './diff.js';
+import { getProvider } from './models.js';
+
+export const RULE_CHANGE_TYPES = [
+  'added',
+  'removed',
+  'became_free',
+  'no_longer_free',
+  'price_change',
+  'price_drop',
+  'price_increase',
+  'context_change',
+  'deprecation',
+  'other'
+];
+
+export const RULE_OPERATORS = ['eq', 'neq', 'gt', 'gte', 'lt', 'lte', 'contains', 'prefix', 'in'];
+
+/**
+ * Change kinds of an event, with price changes split by direction
+ */
+export function getRuleChangeTypes(event) {
+  const kinds = classifyEvent(event);
+  if (!kinds.includes('price_change')) {
+    return kinds;
+  }
+
+  for (const change of getChangesOfKind(event, 'price_change')) {
+    const before = parseFloat(change.before);
+    const after = parseFloat(change.after);
+    if (after < before) {
+      kinds.push('price_drop');
+    } else if (after > before) {
+      kinds.push('price_increase');
+    }
+  }
+
+  return [...new Set(kinds)];
+}
+
+/**
+ * Resolve a condition field against a change event
+ */
+function resolveField(event, field) {
+  if (field === 'provider') {
+    return getProvider(event.modelId);
+  }
+  if (field === 'free') {
+    return event.free;
+  }
+
+  return field.split('.').reduce((value, key) => (value === null || value === undefined ? undefined : value[key]), event.model);
+}
+
+function toNumber(value) {
+  const number = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case 'eq':
+    case 'neq': {
+      const a = toNumber(actual);
+      const b = toNumber(expected);
+      const equal = a !== null && b !== null ? a === b : String(actual) === String(expected);
+      return op === 'eq' ? equal : !equal;
+    }
+    case 'gt':
+    case 'gte':
+    case 'lt':
+    case 'lte': {
+      const a = toNumber(actual);
+      const b = toNumber(expected);
+      if (a === null || b === null) return false;
+      if (op === 'gt') return a > b;
+      if (op === 'gte') return a >= b;
+      if (op === 'lt') return a < b;
+      return a <= b;
+    }
+    case 'contains':
+      if (Array.isArray(actual)) return actual.includes(expected);
+      return typeof actual === 'string' && actual.toLowerCase().includes(String(expected).toLowerCase());
+    case 'prefix':
+      return typeof actual === 'string' && actual.startsWith(String(expected));
+    case 'in':
+      return Array.isArray(expected) && expected.some(item => String(item) === String(actual));
+    default:
+      return false;
+  }
+}
+
+/**
+ * Check whether a change event satisfies a rule
+ */
+export function matchesRule(rule, event) {
+  const changeTypes = rule.changeTypes || [];
+  if (changeTypes.length > 0) {
+    const kinds = getRuleChangeTypes(event);
+    if (!changeTypes.some(type => kinds.includes(type))) {
+      return false;
+    }
+  }
+
+  return (rule.conditions || []).every(condition => compare(resolveField(event, condition.field), condition.op, condition.value));
+}
+
+/**
+ * Match every enabled rule against a change record.
+ * Returns [{ rule, events }] for the rules with at least one matching event.
+ */
+export function evaluateRules(rules, changeRecord) {
+  const matches = [];
+
+  for (const rule of rules || []) {
+    if (rule.enabled === false) {
+      continue;
+    }
+
+    const events = changeRecord.events.filter(event => matchesRule(rule, event));
+    if (events.length > 0) {
+      matches.push({ rule, events });
+    }
+  }
+
+  return matches;
+}
+
+/**
+ * Validate the matching part of a rule ({ changeTypes, conditions }),
+ * returning an error message or null
+ */
+export function validateMatchers(matchers, label) {
+  if (matchers.changeTypes !== undefined) {
+    if (!Array.isArray(matchers.changeTypes)) {
+      return `${label}: changeTypes 必须是数组`;
+    }
+    const invalid = matchers.changeTypes.find(type => !RULE_CHANGE_TYPES.includes(type));
+    if (invalid !== undefined) {
+      return `${label}: 未知的变更类型 ${invalid}`;
+    }
+  }
+
+  if (matchers.conditions !== undefined) {
+    if (!Array.isArray(matchers.conditions)) {
+      return `${label}: conditions 必须是数组`;
+    }
+    for (const condition of matchers.conditions) {
+      if (!condition || typeof condition.field !== 'string' || !condition.field) {
+        return `${label}: 条件缺少 field`;
+      }
+      if (!RULE_OPERATORS.includes(condition.op)) {
+        return `${label}: 未知的条件运算符 ${condition.op}`;
+      }
+      if (condition.value === undefined || condition.value === null) {
+        return `${label}: 条件 ${condition.field} 缺少 value`;
+      }
+      if (condition.op === 'in' && !Array.isArray(condition.value)) {
+        return `${label}: in 条件的 value 必须是数组`;
+      }
+      if (['gt', 'gte', 'lt', 'lte'].includes(condition.op) && toNumber(condition.value) === null) {
+        return `${label}: 条件 ${condition.field} 的 value 必须是数字`;
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validate a rule definition, returning an error message or null.
+ * `channelIds` lists the channel IDs the rule may route to.
+ */
+export function validateRule(rule, channelIds) {
+  if (!rule || typeof rule !== 'object') {
+    return '规则格式错误';
+  }
+
+  const label = `规则 ${rule.name || rule.id}`;
+
+  if (typeof rule.name !== 'string' || !rule.name.trim()) {
+    return '规则名称不能为空';
+  }
+
+  const matchersError = validateMatchers(rule, label);
+  if (matchersError) {
+    return matchersError;
+  }
+
+  if (!Array.isArray(rule.channels) || rule.channels.length === 0) {
+    return `${label}: 至少需要一个通知通道`;
+  }
+  const unknown = rule.channels.find(id => !channelIds.includes(id));
+  if (unknown !== undefined) {
+    return `${label}: 通知通道 ${unknown} 不存在`;
+  }
+
+  return null;
+}
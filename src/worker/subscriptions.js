@@ -0,0 +1,358 @@
+/**
+ * SubscriptionStore - Public subscriptions with their own channel and filters
+ *
+ * Anyone can register a notification target plus optional filters and receives
+ * a token to manage or cancel it. Only a SHA-256 hash of the token is stored.
+ *
+ * All subscriptions live in the `subscriptions` key, so fan-out costs a single KV
+ * read: [{ id, name, tokenHash, channel: { type, config }, filters, createdAt, updatedAt }]
+ *
+ * `filters` uses the rule syntax ({ changeTypes, conditions }); a subscription
+ * without filters gets the same free tier notifications as the instance owner.
+ */
+
+import { notifierRegistry } from './notifiers/index.js';
+import { matchesRule, validateMatchers } from './rules.js';
+import { buildChangeEvent, buildRuleEvent } from './notifiers/event.js';
+import { toHex } from './notifiers/signing.js';
+
+const SUBSCRIPTIONS_KEY = 'subscriptions';
+
+// Earlier layout: one key per subscription plus an ID index, migrated on first read
+const LEGACY_KEY_PREFIX = 'subscription:';
+const LEGACY_INDEX_KEY = 'subscriptions_index';
+
+// Prefix of the channel IDs used when dispatching to a subscription
+export const SUBSCRIPTION_CHANNEL_PREFIX = 'sub:';
+
+// Official hosts that public subscriptions may send to, by channel type and URL
+// config field, so anonymous users can't make the Worker call arbitrary hosts.
+// Self-hosted services (gotify, webhook) and email are left out by default; types
+// added through SUBSCRIPTION_CHANNEL_TYPES that are not listed here are not pinned.
+const PUBLIC_CHANNEL_HOSTS = {
+  bark: { url: ['api.day.app'] },
+  ntfy: { topicUrl: ['ntfy.sh'] },
+  telegram: { apiBaseUrl: ['api.telegram.org'] },
+  discord: { webhookUrl: ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'] },
+  slack: { webhookUrl: ['hooks.slack.com'] },
+  wecom: { webhookUrl: ['qyapi.weixin.qq.com'] },
+  dingtalk: { webhookUrl: ['oapi.dingtalk.com'] },
+  feishu: { webhookUrl: ['open.feishu.cn', 'open.larksuite.com'] },
+  serverchan: {}
+};
+
+const DEFAULT_CHANNEL_TYPES = Object.keys(PUBLIC_CHANNEL_HOSTS);
+// Every subscriber costs one outbound request in the monitoring run, which has to
+// fit the Workers subrequest limit (50 on the free plan, 1000 on paid plans)
+// next to the OpenRouter fetch and the owner's channels
+const DEFAULT_MAX_SUBSCRIPTIONS = 30;
+
+// Subscriptions one client IP may create per hour
+const CREATE_RATE_KEY_PREFIX = 'subscription_rate:';
+const CREATE_RATE_WINDOW_SECONDS = 60 * 60;
+const DEFAULT_CREATE_LIMIT = 5;
+
+// Subscribers notified concurrently during fan-out
+const FAN_OUT_BATCH_SIZE = 50;
+
+async function hashToken(token) {
+  return toHex(new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token))));
+}
+
+function generateToken() {
+  return toHex(crypto.getRandomValues(new Uint8Array(24)));
+}
+
+/**
+ * Whether a subscription's filters are set
+ */
+export function hasFilters(subscription) {
+  const filters = subscription.filters || {};
+  return (filters.changeTypes || []).length > 0 || (filters.conditions || []).length > 0;
+}
+
+export class SubscriptionStore {
+  /**
+   * `outbox` is only needed by `fanOut`, which hands its deliveries to it
+   */
+  constructor(env, outbox = null) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+    this.outbox = outbox;
+
+    this.channelTypes = env.SUBSCRIPTION_CHANNEL_TYPES
+      ? env.SUBSCRIPTION_CHANNEL_TYPES.split(',').map(type => type.trim()).filter(Boolean)
+      : DEFAULT_CHANNEL_TYPES;
+
+    const maxSubscriptions = parseInt(env.MAX_SUBSCRIPTIONS, 10);
+    this.maxSubscriptions = Number.isNaN(maxSubscriptions) || maxSubscriptions < 0 ? DEFAULT_MAX_SUBSCRIPTIONS : maxSubscriptions;
+
+    const createLimit = parseInt(env.SUBSCRIPTION_CREATE_LIMIT, 10);
+    this.createLimit = Number.isNaN(createLimit) || createLimit < 0 ? DEFAULT_CREATE_LIMIT : createLimit;
+  }
+
+  /**
+   * Load every subscription
+   */
+  async list() {
+    const data = await this.kv.get(SUBSCRIPTIONS_KEY);
+    return data ? JSON.parse(data) : this.migrate();
+  }
+
+  async get(id) {
+    return (await this.list()).find(subscription => subscription.id === id) || null;
+  }
+
+  async write(subscriptions) {
+    await this.kv.put(SUBSCRIPTIONS_KEY, JSON.stringify(subscriptions));
+  }
+
+  /**
+   * Move subscriptions from the per-key layout into the single value
+   */
+  async migrate() {
+    const index = await this.kv.get(LEGACY_INDEX_KEY);
+    if (!index) {
+      return [];
+    }
+
+    const ids = JSON.parse(index);
+    const subscriptions = (await Promise.all(ids.map(async id => {
+      const data = await this.kv.get(LEGACY_KEY_PREFIX + id);
+      return data ? JSON.parse(data) : null;
+    }))).filter(Boolean);
+
+    await this.write(subscriptions);
+    await Promise.all([LEGACY_INDEX_KEY, ...ids.map(id => LEGACY_KEY_PREFIX + id)].map(key => this.kv.delete(key)));
+    return subscriptions;
+  }
+
+  /**
+   * Validate a subscription's channel and filters, returning an error message or null
+   */
+  validate({ channel, filters }) {
+    if (!channel || typeof channel !== 'object') {
+      return 'channel 不能为空';
+    }
+    if (!this.channelTypes.includes(channel.type)) {
+      return `不支持订阅的通知通道类型: ${channel.type}，可用类型: ${this.channelTypes.join(', ')}`;
+    }
+
+    const channelError = notifierRegistry.validate(channel);
+    if (channelError) {
+      return channelError;
+    }
+
+    const hostError = this.validateHosts(channel);
+    if (hostError) {
+      return hostError;
+    }
+
+    if (filters !== undefined && filters !== null) {
+      if (typeof filters !== 'object') {
+        return 'filters 格式错误';
+      }
+      return validateMatchers(filters, '订阅过滤条件');
+    }
+
+    return null;
+  }
+
+  /**
+   * Check that the channel's URLs point at the official hosts of its type,
+   * returning an error message or null
+   */
+  validateHosts(channel) {
+    const fields = PUBLIC_CHANNEL_HOSTS[channel.type] || {};
+    for (const [field, hosts] of Object.entries(fields)) {
+      const value = (channel.config || {})[field];
+      if (!value) {
+        continue;
+      }
+
+      let url;
+      try {
+        url = new URL(value);
+      } catch (error) {
+        return `${field} 不是有效的 URL`;
+      }
+      if (url.protocol !== 'https:' || url.port || !hosts.includes(url.hostname.toLowerCase())) {
+        return `订阅的 ${field} 只能使用 https://${hosts.join(' 或 https://')}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Count a subscription creation for a client IP. Returns false once the IP
+   * has created SUBSCRIPTION_CREATE_LIMIT subscriptions in the last hour.
+   */
+  async checkCreateRate(ip) {
+    if (!ip) {
+      return true;
+    }
+
+    // Only a hash of the address is stored
+    const key = CREATE_RATE_KEY_PREFIX + (await hashToken(ip)).slice(0, 32);
+    const count = parseInt(await this.kv.get(key), 10) || 0;
+    if (count >= this.createLimit) {
+      return false;
+    }
+
+    await this.kv.put(key, String(count + 1), { expirationTtl: CREATE_RATE_WINDOW_SECONDS });
+    return true;
+  }
+
+  /**
+   * Whether the instance has reached MAX_SUBSCRIPTIONS
+   */
+  async isFull() {
+    return (await this.list()).length >= this.maxSubscriptions;
+  }
+
+  /**
+   * Create a subscription. Returns { subscription, token }; the token is only
+   * available here.
+   */
+  async create({ name, channel, filters }) {
+    const subscriptions = await this.list();
+    if (subscriptions.length >= this.maxSubscriptions) {
+      throw new Error('订阅数量已达上限');
+    }
+
+    const token = generateToken();
+    const now = new Date().toISOString();
+    const subscription = {
+      id: crypto.randomUUID().replace(/-/g, '').slice(0, 12),
+      name: typeof name === 'string' ? name.trim().slice(0, 100) : '',
+      tokenHash: await hashToken(token),
+      channel: { type: channel.type, config: channel.config || {} },
+      filters: filters || {},
+      createdAt: now,
+      updatedAt: now
+    };
+
+    subscriptions.push(subscription);
+    await this.write(subscriptions);
+
+    return { subscription, token };
+  }
+
+  /**
+   * Load a subscription if the token matches, otherwise return null
+   */
+  async authorize(id, token) {
+    if (!id || !token) {
+      return null;
+    }
+
+    const subscription = await this.get(id);
+    if (!subscription || subscription.tokenHash !== await hashToken(token)) {
+      return null;
+    }
+    return subscription;
+  }
+
+  async save(subscription) {
+    subscription.updatedAt = new Date().toISOString();
+    const subscriptions = await this.list();
+    await this.write(subscriptions.map(item => item.id === subscription.id ? subscription : item));
+    return subscription;
+  }
+
+  async remove(id) {
+    const subscriptions = await this.list();
+    await this.write(subscriptions.filter(item => item.id !== id));
+  }
+
+  /**
+   * Subscription as returned to its owner: no token hash, secrets masked
+   */
+  toPublic(subscription) {
+    const { tokenHash, ...rest } = subscription;
+    return {
+      ...rest,
+      channel: notifierRegistry.mask({ ...subscription.channel })
+    };
+  }
+
+  /**
+   * Channel object used to dispatch to a subscription
+   */
+  toChannel(subscription) {
+    return {
+      id: SUBSCRIPTION_CHANNEL_PREFIX + subscription.id,
+      type: subscription.channel.type,
+      name: subscription.name,
+      enabled: true,
+      config: subscription.channel.config
+    };
+  }
+
+  /**
+   * Channel of the subscription behind a dispatch channel ID, or null when it is gone
+   */
+  async getChannel(channelId) {
+    if (!channelId.startsWith(SUBSCRIPTION_CHANNEL_PREFIX)) {
+      return null;
+    }
+    const subscription = await this.get(channelId.slice(SUBSCRIPTION_CHANNEL_PREFIX.length));
+    return subscription ? this.toChannel(subscription) : null;
+  }
+
+  /**
+   * Send a change record to every subscription it matches. Subscriptions without
+   * filters get the standard free tier notification; filtered ones get an alert
+   * listing the matching changes. Failed deliveries go to the outbox for retry.
+   * Returns the dispatch results.
+   */
+  async fanOut(changeRecord) {
+    if (changeRecord.events.length === 0) {
+      return [];
+    }
+
+    const subscriptions = await this.list();
+    if (subscriptions.length === 0) {
+      return [];
+    }
+
+    const changeEvent = buildChangeEvent(changeRecord);
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      // Skips subscriptions stored before their host was restricted
+      if (this.validateHosts(subscription.channel)) {
+        continue;
+      }
+
+      if (!hasFilters(subscription)) {
+        deliveries.push({ channel: this.toChannel(subscription), event: changeEvent });
+        continue;
+      }
+
+      const events = changeRecord.events.filter(event => matchesRule(subscription.filters, event));
+      if (events.length > 0) {
+        const rule = { id: subscription.id, name: subscription.name || '订阅' };
+        deliveries.push({ channel: this.toChannel(subscription), event: buildRuleEvent(rule, events, changeRecord) });
+      }
+    }
+
+    const items = [];
+    for (let i = 0; i < deliveries.length; i += FAN_OUT_BATCH_SIZE) {
+      const batch = deliveries.slice(i, i + FAN_OUT_BATCH_SIZE);
+      items.push(...await Promise.all(batch.map(async ({ channel, event }) => {
+        const [result] = await notifierRegistry.dispatch([channel], event);
+        return { result, event };
+      })));
+    }
+
+    // Settled in one go: concurrent outbox and log writes would overwrite each other
+    if (this.outbox) {
+      await this.outbox.settle(items);
+    }
+
+    const results = items.map(({ result }) => result);
+    const failed = results.filter(result => result.status === 'failed').length;
+    console.log(`Notified ${results.length - failed} of ${subscriptions.length} subscriptions (${failed} failed)`);
+    return results;
+  }
+}
@@ -0,0 +1,162 @@
+/**
+ * Tabular exports of the model catalog (CSV, NDJSON and XLSX)
+ *
+ * Models are flattened into rows first: nested objects become dotted columns
+ * such as `pricing.prompt`, `architecture.modality` and
+ * `top_provider.context_length`, and a computed `free` column is added. Rows
+ * exported from several snapshots start with a `snapshot` column.
+ *
+ * CSV and NDJSON are streamed one snapshot at a time; XLSX is built in memory,
+ * so it takes fewer snapshots.
+ */
+
+import { isFreeModel } from './models.js';
+import { renderXlsx } from './xlsx.js';
+
+// Columns that come first when present, the rest follow in order of appearance
+const LEADING_COLUMNS = ['snapshot', 'id', 'name', 'free', 'created', 'context_length'];
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function flattenInto(row, value, prefix) {
+  for (const [key, item] of Object.entries(value)) {
+    const column = prefix ? `${prefix}.${key}` : key;
+    if (isPlainObject(item)) {
+      flattenInto(row, item, column);
+    } else {
+      row[column] = item;
+    }
+  }
+  return row;
+}
+
+/**
+ * Flatten a model into a row; `snapshot` is the timestamp of the catalog it
+ * was exported from, if any
+ */
+export function flattenModel(model, snapshot = null) {
+  const row = snapshot ? { snapshot } : {};
+  row.id = model.id;
+  row.name = model.name;
+  row.free = isFreeModel(model);
+  return flattenInto(row, model, '');
+}
+
+/**
+ * Union of the row keys, leading columns first
+ */
+export function getColumns(rows) {
+  const seen = new Set();
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      seen.add(key);
+    }
+  }
+  return [
+    ...LEADING_COLUMNS.filter(column => seen.has(column)),
+    ...[...seen].filter(column => !LEADING_COLUMNS.includes(column))
+  ];
+}
+
+/**
+ * Format a value for a spreadsheet cell: arrays of scalars are joined, other
+ * arrays are kept as JSON
+ */
+export function formatCell(value) {
+  if (value === undefined || value === null) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.every(item => !isPlainObject(item) && !Array.isArray(item))
+      ? value.join(',')
+      : JSON.stringify(value);
+  }
+  return value;
+}
+
+function csvField(value) {
+  let text = String(formatCell(value));
+  // Names and descriptions come from a third party: keep spreadsheets from
+  // evaluating them as formulas, but leave plain numbers such as -1 alone
+  if (/^[=+\-@\t\r]/.test(text) && !/^-?\d+(\.\d+)?(e-?\d+)?$/i.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function csvLine(values) {
+  return `${values.map(csvField).join(',')}\r\n`;
+}
+
+function renderSheet(rows) {
+  const columns = getColumns(rows);
+  return renderXlsx(columns, rows.map(row => columns.map(column => formatCell(row[column]))), 'Models');
+}
+
+/**
+ * Supported formats: label, content type and file extension. Streamed formats
+ * have `renderRows(rows, columns)` and optionally `renderHeader(columns)`;
+ * XLSX has `render(rows)` returning a Uint8Array and a lower `maxSnapshots`.
+ */
+export const DATA_FORMATS = {
+  csv: {
+    label: 'CSV',
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv',
+    // The BOM makes Excel read the file as UTF-8
+    renderHeader: columns => `\uFEFF${csvLine(columns)}`,
+    renderRows: (rows, columns) => rows.map(row => csvLine(columns.map(column => row[column]))).join('')
+  },
+  ndjson: {
+    label: 'NDJSON',
+    contentType: 'application/x-ndjson; charset=utf-8',
+    extension: 'ndjson',
+    renderRows: rows => rows.map(row => `${JSON.stringify(row)}\n`).join('')
+  },
+  xlsx: {
+    label: 'Excel (XLSX)',
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx',
+    maxSnapshots: 10,
+    render: renderSheet
+  }
+};
+
+/**
+ * Stream a format with `renderRows`. `batches` are functions that each load the
+ * rows of one snapshot; they run one at a time so only one snapshot is held in
+ * memory. Header columns come from the first batch with rows, so fields that
+ * only older snapshots have are left out.
+ */
+export function streamRows(format, batches) {
+  const { renderHeader, renderRows } = DATA_FORMATS[format];
+  const encoder = new TextEncoder();
+  let columns = null;
+  let index = 0;
+
+  return new ReadableStream({
+    async start(controller) {
+      if (!renderHeader) {
+        return;
+      }
+
+      let rows = [];
+      while (rows.length === 0 && index < batches.length) {
+        rows = await batches[index++]();
+      }
+      columns = getColumns(rows);
+      controller.enqueue(encoder.encode(renderHeader(columns) + renderRows(rows, columns)));
+    },
+
+    async pull(controller) {
+      if (index >= batches.length) {
+        controller.close();
+        return;
+      }
+      const rows = await batches[index++]();
+      controller.enqueue(encoder.encode(renderRows(rows, columns)));
+    }
+  });
+}
@@ -0,0 +1,57 @@
+/**
+ * Watchlist - Model IDs whose every change triggers an alert
+ *
+ * Stored in the `watchlist` key as [{ modelId, addedAt }], oldest first.
+ */
+
+const WATCHLIST_KEY = 'watchlist';
+
+// Keeps the key small and alerts readable
+export const MAX_WATCHED_MODELS = 200;
+
+export class Watchlist {
+  constructor(env) {
+    this.env = env;
+    this.kv = env.OPENROUTER_KV;
+  }
+
+  async getEntries() {
+    const data = await this.kv.get(WATCHLIST_KEY);
+    return data ? JSON.parse(data) : [];
+  }
+
+  async getIds() {
+    return new Set((await this.getEntries()).map(entry => entry.modelId));
+  }
+
+  /**
+   * Watch a model. Returns false if it was already watched.
+   */
+  async add(modelId) {
+    const entries = await this.getEntries();
+    if (entries.some(entry => entry.modelId === modelId)) {
+      return false;
+    }
+    if (entries.length >= MAX_WATCHED_MODELS) {
+      throw new Error(`关注列表最多 ${MAX_WATCHED_MODELS} 个模型`);
+    }
+
+    entries.push({ modelId, addedAt: new Date().toISOString() });
+    await this.kv.put(WATCHLIST_KEY, JSON.stringify(entries));
+    return true;
+  }
+
+  /**
+   * Stop watching a model. Returns false if it wasn't watched.
+   */
+  async remove(modelId) {
+    const entries = await this.getEntries();
+    const remaining = entries.filter(entry => entry.modelId !== modelId);
+    if (remaining.length === entries.length) {
+      return false;
+    }
+
+    await this.kv.put(WATCHLIST_KEY, JSON.stringify(remaining));
+    return true;
+  }
+}
@@ -1,3 +1,52 @@
+import { SnapshotStore } from './history.js';
+import { ChangeLog, CHANGE_TYPES, parseEventId } from './changelog.js';
+import { classifyEvent, getChangesOfKind } from './diff.js';
+import { isFreeModel, toOpenAIModel } from './models.js';
+import { isFeedEvent, renderAtomFeed, renderRssFeed } from './feed.js';
+import { parseModelQuery, queryModels } from './query.js';
+import { CONFIG_FORMATS, renderConfig } from './configs.js';
+import { DATA_FORMATS, flattenModel, streamRows } from './tabular.js';
+import { parseRecommendQuery, recommendModels } from './recommend.js';
+import { notifierRegistry, getStoredChannels, RESERVED_CHANNEL_IDS } from './notifiers/index.js';
+import { validateDelivery } from './delivery.js';
+import { FlapGuard, getGracePeriod } from './flap.js';
+import { validateRule, RULE_CHANGE_TYPES, RULE_OPERATORS } from './rules.js';
+import { Watchlist } from './watchlist.js';
+import { SubscriptionStore } from './subscriptions.js';
+import { NotificationOutbox, redactEntries } from './outbox.js';
+import { DeliveryLog, DELIVERY_STATUSES } from './deliverylog.js';
+import { buildTestEvent } from './notifiers/event.js';
+import { validateTemplate } from './notifiers/template.js';
+
+// Change log runs scanned for one feed request
+const FEED_MAX_RUNS = 100;
+
+// Snapshots included in one `history=1` export (XLSX has its own, lower limit)
+const MAX_EXPORT_SNAPSHOTS = 50;
+
+/**
+ * Decode a percent-encoded path segment and pass it to `handle`, answering 400
+ * when the encoding is malformed (e.g. `%E0`)
+ */
+export function withPathSegment(value, handle) {
+  let segment;
+  try {
+    segment = decodeURIComponent(value);
+  } catch (error) {
+    if (!(error instanceof URIError)) {
+      throw error;
+    }
+    return new Response(JSON.stringify({
+      error: 'Invalid path',
+      message: 'The URL path contains malformed percent-encoding'
+    }), {
+      status: 400,
+      headers: { 'Content-Type': 'application/json' }
+    });
+  }
+  return handle(segment);
+}
+
 /**
  * WebInterface - Handles web UI serving and API endpoints
  */
@@ -5,6 +54,13 @@ export class WebInterface {
   constructor(env) {
     this.env = env;
     this.kv = env.OPENROUTER_KV;
+    this.snapshots = new SnapshotStore(env);
+    this.changeLog = new ChangeLog(env);
+    this.flapGuard = new FlapGuard(env);
+    this.watchlist = new Watchlist(env);
+    this.subscriptions = new SubscriptionStore(env);
+    this.deliveryLog = new DeliveryLog(env);
+    this.outbox = new NotificationOutbox(env, this.deliveryLog);
   }
 
   /**
@@ -60,7 +116,7 @@ export class WebInterface {
   }
 
   /**
-   * API endpoint to get all models
+   * API endpoint to get models, filtered, sorted and paginated by the query parameters (see query.js)
    */
   async getModelsApi(request) {
     try {
@@ -76,11 +132,26 @@ export class WebInterface {
       }
 
       const modelsData = JSON.parse(data);
+      const { query, error, message } = parseModelQuery(new URL(request.url).searchParams);
+      const result = error ? { error, message } : queryModels(modelsData.allModels || [], query);
+      if (result.error) {
+        return new Response(JSON.stringify({
+          error: result.error,
+          message: result.message
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
       return new Response(JSON.stringify({
         success: true,
-        data: modelsData.allModels || [],
+        data: result.models,
         timestamp: modelsData.timestamp,
-        totalCount: modelsData.totalModels || 0
+        totalCount: modelsData.totalModels || 0,
+        matchedCount: result.matchedCount,
+        nextCursor: result.nextCursor,
+        flapping: await this.flapGuard.getFlapping()
       }), {
         headers: { 
           'Content-Type': 'application/json',
@@ -99,6 +170,70 @@ export class WebInterface {
     }
   }
 
+  /**
+   * API endpoint to get one model with its change timeline
+   */
+  async getModelDetailApi(modelId) {
+    try {
+      const [data, firstSeenRaw] = await Promise.all([
+        this.kv.get('models_data'),
+        this.kv.get('model_first_seen')
+      ]);
+      const modelsData = data ? JSON.parse(data) : {};
+      const firstSeen = firstSeenRaw ? JSON.parse(firstSeenRaw) : {};
+      const model = (modelsData.allModels || []).find(item => item.id === modelId) || null;
+
+      // Recorded events for this model, oldest first
+      const events = await this.changeLog.getModelEvents(modelId);
+
+      if (!model && events.length === 0 && !firstSeen[modelId]) {
+        return new Response(JSON.stringify({
+          error: 'Model not found',
+          message: `No current or historical data for ${modelId}`
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const timeline = [];
+      for (const event of events) {
+        for (const kind of classifyEvent(event)) {
+          timeline.push({
+            timestamp: event.timestamp,
+            type: kind,
+            eventId: event.id,
+            changes: getChangesOfKind(event, kind)
+          });
+        }
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: model,
+        status: model ? 'available' : 'removed',
+        free: model ? isFreeModel(model) : false,
+        firstSeen: firstSeen[modelId] || (events[0] && events[0].type === 'added' ? events[0].timestamp : null),
+        timeline,
+        timestamp: modelsData.timestamp || null
+      }), {
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error getting model detail:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to retrieve model detail',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
   /**
    * Generate JavaScript for frontend functionality
    */
@@ -112,6 +247,8 @@ export class WebInterface {
         this.isRefreshing = false;
         this.autoRefreshTimer = null;
         this.autoRefreshInterval = null;
+        this.channelTypes = [];
+        this.channels = [];
         this.init();
     }
 
@@ -139,6 +276,14 @@ export class WebInterface {
             this.toggleFreeOnly();
         });
 
+        // Export select
+        document.getElementById('exportSelect').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.exportModels(e.target.value);
+                e.target.value = '';
+            }
+        });
+
         // Refresh button
         document.getElementById('refreshBtn').addEventListener('click', () => {
             this.refresh({ showNotification: true, showLoading: true, disableButton: true });
@@ -220,6 +365,8 @@ export class WebInterface {
 
             if (result.success) {
                 this.allModels = result.data || [];
+                this.flapping = result.flapping || {};
+                await this.loadWatchlist();
                 this.updateStats();
                 this.filterAndDisplayModels();
                 document.getElementById('loading').style.display = 'none';
@@ -234,6 +381,64 @@ export class WebInterface {
         }
     }
 
+    async loadWatchlist() {
+        try {
+            const response = await fetch('/api/watchlist');
+            const result = await response.json();
+            this.watched = new Set((result.data || []).map(entry => entry.modelId));
+        } catch (error) {
+            console.error('Error loading watchlist:', error);
+            this.watched = new Set();
+        }
+    }
+
+    getAuthKey() {
+        let authKey = sessionStorage.getItem('settingsAuthKey');
+        if (!authKey) {
+            authKey = (window.prompt('请输入身份验证密钥') || '').trim();
+            if (authKey) {
+                sessionStorage.setItem('settingsAuthKey', authKey);
+            }
+        }
+        return authKey;
+    }
+
+    async toggleWatch(modelId, element) {
+        const authKey = this.getAuthKey();
+        if (!authKey) {
+            return;
+        }
+
+        const watching = this.watched.has(modelId);
+        try {
+            const response = await fetch('/api/watchlist', {
+                method: watching ? 'DELETE' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ auth: authKey, modelId })
+            });
+            const result = await response.json();
+
+            if (response.status === 401) {
+                sessionStorage.removeItem('settingsAuthKey');
+            }
+            if (!result.success) {
+                throw new Error(result.message || result.error || '操作失败');
+            }
+
+            this.watched = new Set(result.data.map(entry => entry.modelId));
+            element.outerHTML = this.renderWatchButton(modelId);
+            this.showNotification(result.message);
+        } catch (error) {
+            console.error('Error updating watchlist:', error);
+            this.showNotification('关注操作失败: ' + error.message);
+        }
+    }
+
+    renderWatchButton(modelId) {
+        const watching = this.watched && this.watched.has(modelId);
+        return \`<button type="button" class="watch-btn \${watching ? 'active' : ''}" data-model-id="\${modelId}" title="\${watching ? '取消关注' : '关注该模型的任何变更'}">\${watching ? '★ 已关注' : '☆ 关注'}</button>\`;
+    }
+
     async loadStatus() {
         try {
             const response = await fetch('/api/status');
@@ -350,6 +555,83 @@ export class WebInterface {
                 this.copyToClipboard(element.textContent);
             });
         });
+
+        container.onclick = (event) => {
+            const button = event.target.closest('.watch-btn');
+            if (button) {
+                this.toggleWatch(button.dataset.modelId, button);
+            }
+        };
+
+        // Open the timeline modal instead of the raw JSON (modifier clicks still open the link)
+        container.querySelectorAll('.history-link').forEach(element => {
+            element.addEventListener('click', (event) => {
+                if (event.ctrlKey || event.metaKey || event.shiftKey) {
+                    return;
+                }
+                event.preventDefault();
+                this.showModelHistory(element.dataset.modelId);
+            });
+        });
+    }
+
+    async showModelHistory(modelId) {
+        const modal = document.getElementById('historyModal');
+        const body = document.getElementById('historyBody');
+        document.getElementById('historyTitle').textContent = '📜 ' + modelId;
+        body.innerHTML = '<div class="loading">正在加载变更历史...</div>';
+        modal.style.display = 'block';
+
+        modal.querySelector('.close').onclick = () => { modal.style.display = 'none'; };
+        modal.onclick = (event) => {
+            if (event.target === modal) {
+                modal.style.display = 'none';
+            }
+        };
+
+        try {
+            const response = await fetch('/api/models/' + encodeURIComponent(modelId));
+            const result = await response.json();
+
+            if (!result.success) {
+                throw new Error(result.message || result.error || '加载失败');
+            }
+
+            const labels = {
+                added: '🆕 首次出现',
+                removed: '❌ 已下架',
+                became_free: '💰 变为免费',
+                no_longer_free: '💸 不再免费',
+                price_change: '🏷️ 价格变动',
+                context_change: '📏 上下文变动',
+                deprecation: '⏳ 下线计划',
+                other: '🔧 其他变更'
+            };
+
+            const firstSeen = result.firstSeen ? new Date(result.firstSeen).toLocaleString('zh-CN') : '未知';
+            const entries = result.timeline.slice().reverse().map(entry => \`
+                <div class="timeline-item">
+                    <div class="timeline-header">
+                        <span class="timeline-type">\${labels[entry.type] || entry.type}</span>
+                        <span class="timeline-time">\${new Date(entry.timestamp).toLocaleString('zh-CN')}</span>
+                    </div>
+                    \${entry.changes.map(change => \`
+                    <div class="timeline-change">\${change.field}: \${JSON.stringify(change.before)} → \${JSON.stringify(change.after)}</div>
+                    \`).join('')}
+                </div>
+            \`).join('');
+
+            body.innerHTML = \`
+                <div class="timeline-summary">
+                    <div>状态: \${result.status === 'available' ? (result.free ? '在线 · 免费' : '在线') : '已下架'}</div>
+                    <div>首次发现: \${firstSeen}</div>
+                </div>
+                \${entries || '<div class="no-results">暂无变更记录。</div>'}
+            \`;
+        } catch (error) {
+            console.error('Error loading model history:', error);
+            body.innerHTML = '<div class="error">加载变更历史失败: ' + error.message + '</div>';
+        }
     }
 
     formatPrice(price) {
@@ -363,6 +645,18 @@ export class WebInterface {
         }
     }
 
+    renderFlappingBadge(modelId) {
+        const flapping = (this.flapping || {})[modelId];
+        if (!flapping) {
+            return '';
+        }
+
+        const title = flapping.missing
+            ? \`本次未出现在 OpenRouter 列表中（已连续缺失 \${flapping.missingRuns} 次），确认前暂不视为下架\`
+            : \`近期曾短暂消失 \${flapping.flaps} 次，最近一次: \${new Date(flapping.lastFlapAt).toLocaleString('zh-CN')}\`;
+        return \`<div class="flapping-badge" title="\${title}">\${flapping.missing ? '⚠️ 缺失中' : '⚠️ 不稳定'}</div>\`;
+    }
+
     createModelCard(model) {
         const isFree = this.isFreeModel(model);
         const promptPrice = model.pricing ? parseFloat(model.pricing.prompt || '0') : 0;
@@ -381,8 +675,15 @@ export class WebInterface {
                 <div class="model-info">
                     <div class="model-name">\${model.name || model.id || '未命名模型'}</div>
                     <div class="model-id" title="点击复制">\${model.id || ''}</div>
+                    <div class="model-links">
+                        <a class="history-link" href="/api/models/\${model.id || ''}" data-model-id="\${model.id || ''}">📜 变更历史</a>
+                        \${this.renderWatchButton(model.id || '')}
+                    </div>
+                </div>
+                <div class="model-badges">
+                    \${isFree ? '<div class="free-badge">免费</div>' : ''}
+                    \${this.renderFlappingBadge(model.id)}
                 </div>
-                \${isFree ? '<div class="free-badge">免费</div>' : ''}
             </div>
             
             \${model.description ? \`
@@ -539,6 +840,45 @@ export class WebInterface {
         \`;
     }
 
+    async exportModels(value) {
+        const history = value.startsWith('history:');
+        const format = history ? value.slice('history:'.length) : value;
+
+        // Same filters as the model list
+        const params = new URLSearchParams({ sort: this.currentSort });
+        const searchTerm = document.getElementById('searchInput').value.trim();
+        if (searchTerm) {
+            params.set('q', searchTerm);
+        }
+        if (this.showFreeOnly) {
+            params.set('free', '1');
+        }
+        if (history) {
+            params.set('history', '1');
+        }
+
+        try {
+            const response = await fetch(\`/api/export/\${format}?\${params}\`);
+            if (!response.ok) {
+                const result = await response.json().catch(() => ({}));
+                throw new Error(result.message || result.error || response.statusText);
+            }
+
+            const disposition = response.headers.get('Content-Disposition') || '';
+            const match = disposition.match(/filename="([^"]+)"/);
+            const link = document.createElement('a');
+            link.href = URL.createObjectURL(await response.blob());
+            link.download = match ? match[1] : \`openrouter-models.\${format}\`;
+            document.body.appendChild(link);
+            link.click();
+            link.remove();
+            setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+        } catch (error) {
+            console.error('Error exporting models:', error);
+            this.showNotification('导出失败: ' + error.message);
+        }
+    }
+
     toggleFreeOnly() {
         this.showFreeOnly = !this.showFreeOnly;
         const btn = document.getElementById('freeOnlyBtn');
@@ -762,7 +1102,16 @@ export class WebInterface {
                 // 填充当前设置到表单
                 document.getElementById('monitorInterval').value = result.data.monitorInterval || 5;
                 document.getElementById('barkBaseUrl').value = result.data.barkBaseUrl || '';
+                document.getElementById('removalGraceRuns').value = result.data.removalGraceRuns ?? '';
+                document.getElementById('removalGraceMinutes').value = result.data.removalGraceMinutes ?? '';
                 document.getElementById('authKey').value = '';
+
+                // 通知通道
+                this.channelTypes = result.data.channelTypes || [];
+                this.channels = result.data.notificationChannels || [];
+                this.renderChannelTypeOptions();
+                this.renderChannels();
+                this.loadDeliveryLog();
                 
                 // 显示模态框
                 const modal = document.getElementById('settingsModal');
@@ -779,6 +1128,396 @@ export class WebInterface {
         }
     }
     
+    async loadDeliveryLog() {
+        const container = document.getElementById('deliveryLog');
+        container.innerHTML = '<div class="channel-empty">加载中...</div>';
+
+        // 消息内容需要身份验证，未验证时只显示投递状态
+        const authKey = sessionStorage.getItem('settingsAuthKey');
+        try {
+            const response = authKey
+                ? await fetch('/api/notifications', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ auth: authKey, limit: 30 })
+                })
+                : await fetch('/api/notifications?limit=30');
+            if (response.status === 401) {
+                sessionStorage.removeItem('settingsAuthKey');
+                return this.loadDeliveryLog();
+            }
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || '未知错误');
+            }
+            this.renderDeliveryLog(result.data);
+        } catch (error) {
+            console.error('Error loading notification log:', error);
+            container.innerHTML = \`<div class="channel-empty">加载推送记录失败: \${this.escapeAttr(error.message)}</div>\`;
+        }
+    }
+
+    renderDeliveryLog(entries) {
+        const container = document.getElementById('deliveryLog');
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="channel-empty">暂无推送记录</div>';
+            return;
+        }
+
+        const channelNames = Object.fromEntries(this.channels.filter(channel => channel.id).map(channel => [channel.id, channel.name]));
+        container.innerHTML = entries.map(entry => {
+            const details = [
+                entry.httpStatus ? \`HTTP \${entry.httpStatus}\` : null,
+                entry.latencyMs !== null ? \`\${entry.latencyMs} ms\` : null,
+                entry.attempt > 1 ? \`第 \${entry.attempt} 次尝试\` : null
+            ].filter(Boolean).join(' · ');
+
+            return \`
+                <div class="delivery-log-item \${entry.status}">
+                    <div class="timeline-header">
+                        <span class="timeline-type">\${entry.status === 'sent' ? '✅' : '❌'} \${this.escapeAttr(channelNames[entry.channelId] || entry.channelId)} <small>(\${entry.type})</small></span>
+                        <span class="timeline-time">\${new Date(entry.timestamp).toLocaleString('zh-CN')}</span>
+                    </div>
+                    <div class="delivery-log-meta">\${this.escapeAttr(entry.title || entry.kind)}\${details ? ' · ' + details : ''}</div>
+                    \${entry.error ? \`<div class="delivery-log-error">\${this.escapeAttr(entry.error)}</div>\` : ''}
+                    \${entry.payload ? \`<details><summary>消息内容</summary><pre class="timeline-change">\${this.escapeAttr(entry.payload)}</pre></details>\` : ''}
+                </div>
+            \`;
+        }).join('');
+    }
+
+    escapeAttr(value) {
+        return String(value ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/"/g, '&quot;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    renderChannelTypeOptions() {
+        document.getElementById('channelTypeSelect').innerHTML = this.channelTypes
+            .map(type => \`<option value="\${type.type}">\${type.label}</option>\`)
+            .join('');
+    }
+
+    renderChannelField(field, value) {
+        const attrs = \`data-field="\${field.name}" placeholder="\${this.escapeAttr(field.placeholder || '')}"\`;
+        let input;
+
+        switch (field.type) {
+            case 'select':
+                input = \`<select \${attrs}>\${field.options.map(option => \`
+                    <option value="\${this.escapeAttr(option.value)}" \${option.value === value ? 'selected' : ''}>\${option.label}</option>
+                \`).join('')}</select>\`;
+                break;
+            case 'json':
+                input = \`<textarea \${attrs} rows="2">\${value ? this.escapeAttr(JSON.stringify(value)) : ''}</textarea>\`;
+                break;
+            case 'checkbox':
+                input = \`<input type="checkbox" data-field="\${field.name}" \${value ? 'checked' : ''}>\`;
+                break;
+            case 'number':
+                input = \`<input type="number" \${attrs} value="\${this.escapeAttr(value)}">\`;
+                break;
+            case 'password':
+                input = \`<input type="password" \${attrs} value="\${this.escapeAttr(value)}">\`;
+                break;
+            default:
+                input = \`<input type="text" \${attrs} value="\${this.escapeAttr(value)}">\`;
+        }
+
+        return \`
+            <div class="channel-field">
+                <label>\${field.label}\${field.required ? ' *' : ''}</label>
+                \${input}
+                \${field.help ? \`<small>\${field.help}</small>\` : ''}
+            </div>\`;
+    }
+
+    renderChannelDelivery(delivery) {
+        const quietHours = delivery.quietHours || {};
+        const mode = delivery.mode || 'immediate';
+        const modes = [
+            { value: 'immediate', label: '立即推送' },
+            { value: 'batch', label: '批量推送（每 N 分钟合并一次）' },
+            { value: 'digest', label: '每日汇总' }
+        ];
+
+        return \`
+            <details class="channel-delivery" \${mode !== 'immediate' || delivery.quietHours ? 'open' : ''}>
+                <summary>投递方式与免打扰</summary>
+                <div class="channel-field">
+                    <label>投递方式</label>
+                    <select data-delivery="mode">\${modes.map(option => \`
+                        <option value="\${option.value}" \${option.value === mode ? 'selected' : ''}>\${option.label}</option>
+                    \`).join('')}</select>
+                </div>
+                <div class="channel-field">
+                    <label>批量间隔（分钟）</label>
+                    <input type="number" data-delivery="intervalMinutes" min="1" max="1440" placeholder="60" value="\${this.escapeAttr(delivery.intervalMinutes)}">
+                </div>
+                <div class="channel-field">
+                    <label>汇总发送时间（0-23 点）</label>
+                    <input type="number" data-delivery="digestHour" min="0" max="23" placeholder="9" value="\${this.escapeAttr(delivery.digestHour)}">
+                </div>
+                <div class="channel-field">
+                    <label>时区</label>
+                    <input type="text" data-delivery="timezone" placeholder="\${this.escapeAttr(this.getBrowserTimeZone())}" value="\${this.escapeAttr(delivery.timezone)}">
+                </div>
+                <div class="channel-field">
+                    <label>免打扰时段</label>
+                    <div class="quiet-hours">
+                        <input type="time" data-delivery="quietStart" value="\${this.escapeAttr(quietHours.start)}">
+                        <span>至</span>
+                        <input type="time" data-delivery="quietEnd" value="\${this.escapeAttr(quietHours.end)}">
+                    </div>
+                    <small>免打扰期间的通知会排队，结束后合并发送；错误通知不参与批量和汇总</small>
+                </div>
+            </details>\`;
+    }
+
+    renderChannelTemplate(template) {
+        const language = template.language || 'zh';
+        const placeholders = '{{added_count}} {{removed_count}} {{added_names}} {{removed_names}} {{added_list}} {{removed_list}} {{timestamp}} {{default_title}}，' +
+            '{{#added}}{{name}} {{id}} {{url}} {{prompt_price}} {{completion_price}} {{context_length}}{{/added}}';
+
+        return \`
+            <details class="channel-delivery" \${template.title || template.body || language !== 'zh' ? 'open' : ''}>
+                <summary>消息模板</summary>
+                <div class="channel-field">
+                    <label>语言</label>
+                    <select data-template="language">
+                        <option value="zh" \${language === 'zh' ? 'selected' : ''}>中文</option>
+                        <option value="en" \${language === 'en' ? 'selected' : ''}>English</option>
+                    </select>
+                </div>
+                <div class="channel-field">
+                    <label>标题模板</label>
+                    <input type="text" data-template="title" placeholder="{{default_title}}" value="\${this.escapeAttr(template.title)}">
+                </div>
+                <div class="channel-field">
+                    <label>正文模板</label>
+                    <textarea data-template="body" rows="4" placeholder="留空使用默认格式">\${this.escapeAttr(template.body)}</textarea>
+                    <small>可用占位符: \${this.escapeAttr(placeholders)}</small>
+                </div>
+                <button type="button" class="channel-btn" data-role="preview">👁️ 预览</button>
+                <pre class="template-preview" data-role="previewOutput" style="display: none;"></pre>
+            </details>\`;
+    }
+
+    collectChannelTemplate(element) {
+        const input = name => element.querySelector(\`[data-template="\${name}"]\`);
+        if (!input('language')) {
+            return undefined;
+        }
+
+        const template = {
+            language: input('language').value,
+            title: input('title').value.trim(),
+            body: input('body').value.trim()
+        };
+        return template.language === 'zh' && !template.title && !template.body ? undefined : template;
+    }
+
+    async previewChannel(index) {
+        const item = document.querySelector(\`#channelList .channel-item[data-index="\${index}"]\`);
+        const output = item.querySelector('[data-role="previewOutput"]');
+
+        let channel;
+        try {
+            channel = this.collectChannels()[index];
+        } catch (error) {
+            this.showNotification(error.message);
+            return;
+        }
+
+        try {
+            const response = await fetch('/api/test/notify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ channel })
+            });
+            const result = await response.json();
+            if (!result.success) {
+                throw new Error(result.error || '未知错误');
+            }
+
+            const preview = result.previews[0];
+            output.textContent = preview.title + '\\n\\n' + preview.body;
+            output.style.display = 'block';
+        } catch (error) {
+            this.showNotification('预览失败: ' + error.message);
+        }
+    }
+
+    getBrowserTimeZone() {
+        try {
+            return Intl.DateTimeFormat().resolvedOptions().timeZone || 'UTC';
+        } catch (error) {
+            return 'UTC';
+        }
+    }
+
+    collectChannelDelivery(element) {
+        const input = name => element.querySelector(\`[data-delivery="\${name}"]\`);
+        if (!input('mode')) {
+            return undefined;
+        }
+
+        const delivery = { mode: input('mode').value };
+        const intervalMinutes = input('intervalMinutes').value.trim();
+        const digestHour = input('digestHour').value.trim();
+        const quietStart = input('quietStart').value;
+        const quietEnd = input('quietEnd').value;
+
+        if (intervalMinutes) {
+            delivery.intervalMinutes = Number(intervalMinutes);
+        }
+        if (digestHour) {
+            delivery.digestHour = Number(digestHour);
+        }
+        if (quietStart || quietEnd) {
+            if (!quietStart || !quietEnd) {
+                throw new Error('免打扰时段需要同时填写开始和结束时间');
+            }
+            delivery.quietHours = { start: quietStart, end: quietEnd };
+        }
+
+        if (delivery.mode === 'immediate' && !delivery.quietHours) {
+            return undefined;
+        }
+
+        // 未填写时区时使用浏览器所在时区
+        delivery.timezone = input('timezone').value.trim() || this.getBrowserTimeZone();
+        return delivery;
+    }
+
+    renderChannels() {
+        const container = document.getElementById('channelList');
+
+        if (this.channels.length === 0) {
+            container.innerHTML = '<div class="channel-empty">暂无额外通知通道</div>';
+            return;
+        }
+
+        container.innerHTML = this.channels.map((channel, index) => {
+            const type = this.channelTypes.find(item => item.type === channel.type) || { label: channel.type, fields: [] };
+            return \`
+            <div class="channel-item" data-index="\${index}">
+                <div class="channel-header">
+                    <span class="channel-type">\${type.label}</span>
+                    <label class="channel-enabled"><input type="checkbox" data-role="enabled" \${channel.enabled !== false ? 'checked' : ''}> 启用</label>
+                    <button type="button" class="channel-btn" data-role="test" \${channel.id ? '' : 'disabled title="保存后可测试"'}>🔔 测试</button>
+                    <button type="button" class="channel-btn" data-role="remove">🗑️ 删除</button>
+                </div>
+                <div class="channel-field">
+                    <label>名称</label>
+                    <input type="text" data-role="name" placeholder="可选" value="\${this.escapeAttr(channel.name)}">
+                </div>
+                \${type.fields.map(field => this.renderChannelField(field, (channel.config || {})[field.name])).join('')}
+                \${type.digest ? '' : this.renderChannelDelivery(channel.delivery || {})}
+                \${type.templates ? this.renderChannelTemplate(channel.template || {}) : ''}
+            </div>\`;
+        }).join('');
+    }
+
+    collectChannels() {
+        return [...document.querySelectorAll('#channelList .channel-item')].map(element => {
+            const channel = this.channels[parseInt(element.dataset.index)];
+            const type = this.channelTypes.find(item => item.type === channel.type) || { fields: [] };
+            const config = {};
+
+            for (const field of type.fields) {
+                const input = element.querySelector(\`[data-field="\${field.name}"]\`);
+                if (!input) continue;
+
+                if (field.type === 'checkbox') {
+                    config[field.name] = input.checked;
+                } else if (field.type === 'json') {
+                    const text = input.value.trim();
+                    if (text) {
+                        try {
+                            config[field.name] = JSON.parse(text);
+                        } catch (error) {
+                            throw new Error(field.label + ' 不是有效的 JSON');
+                        }
+                    }
+                } else if (input.value.trim() !== '') {
+                    config[field.name] = field.type === 'number' ? Number(input.value) : input.value.trim();
+                }
+            }
+
+            const delivery = this.collectChannelDelivery(element);
+            const template = this.collectChannelTemplate(element);
+
+            return {
+                id: channel.id,
+                type: channel.type,
+                name: element.querySelector('[data-role="name"]').value.trim(),
+                enabled: element.querySelector('[data-role="enabled"]').checked,
+                config,
+                ...(delivery ? { delivery } : {}),
+                ...(template ? { template } : {})
+            };
+        });
+    }
+
+    async handleChannelAction(event) {
+        const button = event.target.closest('[data-role]');
+        const item = event.target.closest('.channel-item');
+        if (!button || !item || button.tagName !== 'BUTTON') {
+            return;
+        }
+
+        const index = parseInt(item.dataset.index);
+
+        if (button.dataset.role === 'remove') {
+            try {
+                this.channels = this.collectChannels();
+            } catch (error) {
+                // 丢弃无法解析的输入，仍然允许删除
+            }
+            this.channels.splice(index, 1);
+            this.renderChannels();
+        } else if (button.dataset.role === 'test') {
+            await this.testChannel(this.channels[index].id);
+        } else if (button.dataset.role === 'preview') {
+            await this.previewChannel(index);
+        }
+    }
+
+    async testChannel(channelId) {
+        try {
+            const response = await fetch('/api/test/notify?channel=' + encodeURIComponent(channelId), {
+                cache: 'no-store'
+            });
+            const result = await response.json();
+
+            if (result.success) {
+                this.showNotification('测试推送已发送');
+            } else {
+                const failure = (result.results || []).find(item => item.status === 'failed');
+                this.showNotification('测试推送失败: ' + ((failure && failure.error) || result.error || '未知错误'));
+            }
+        } catch (error) {
+            console.error('Error testing channel:', error);
+            this.showNotification('测试推送失败');
+        }
+    }
+
+    addChannel() {
+        try {
+            this.channels = this.collectChannels();
+        } catch (error) {
+            this.showNotification(error.message);
+            return;
+        }
+
+        const type = document.getElementById('channelTypeSelect').value;
+        this.channels.push({ type, name: '', enabled: true, config: {} });
+        this.renderChannels();
+    }
+    
     bindSettingsEvents() {
         const modal = document.getElementById('settingsModal');
         const closeBtn = modal.querySelector('.close');
@@ -798,6 +1537,18 @@ export class WebInterface {
         
         // 保存设置
         saveBtn.onclick = () => this.saveSettings();
+
+        // 通知通道
+        document.getElementById('addChannelBtn').onclick = () => this.addChannel();
+        document.getElementById('channelList').onclick = (event) => this.handleChannelAction(event);
+
+        // 推送记录
+        document.getElementById('refreshDeliveryLogBtn').onclick = () => this.loadDeliveryLog();
+        document.getElementById('showDeliveryPayloadsBtn').onclick = () => {
+            if (this.getAuthKey()) {
+                this.loadDeliveryLog();
+            }
+        };
         
         // ESC键关闭
         document.addEventListener('keydown', (event) => {
@@ -815,12 +1566,22 @@ export class WebInterface {
     async saveSettings() {
         const monitorInterval = document.getElementById('monitorInterval').value;
         const barkBaseUrl = document.getElementById('barkBaseUrl').value;
+        const removalGraceRuns = document.getElementById('removalGraceRuns').value;
+        const removalGraceMinutes = document.getElementById('removalGraceMinutes').value;
         const authKey = document.getElementById('authKey').value;
         
         if (!authKey.trim()) {
             this.showNotification('请输入身份验证密钥');
             return;
         }
+
+        let notificationChannels;
+        try {
+            notificationChannels = this.collectChannels();
+        } catch (error) {
+            this.showNotification(error.message);
+            return;
+        }
         
         try {
             const response = await fetch('/api/settings', {
@@ -831,7 +1592,10 @@ export class WebInterface {
                 body: JSON.stringify({
                     auth: authKey.trim(),
                     monitorInterval: monitorInterval ? parseInt(monitorInterval) : undefined,
-                    barkBaseUrl: barkBaseUrl.trim()
+                    barkBaseUrl: barkBaseUrl.trim(),
+                    removalGraceRuns: removalGraceRuns !== '' ? parseInt(removalGraceRuns) : undefined,
+                    removalGraceMinutes: removalGraceMinutes !== '' ? parseInt(removalGraceMinutes) : undefined,
+                    notificationChannels
                 })
             });
             
@@ -910,9 +1674,519 @@ if (document.readyState === 'loading') {
   }
 
   /**
-   * Settings endpoint - handles GET and POST for settings
+   * OpenAI-compatible model list (`/v1/models`). `freeOnly` (or ?free=1) lists
+   * only the free models stored by the last monitoring run. With `modelId`,
+   * returns that single model like OpenAI's retrieve-model endpoint.
+   * Errors use OpenAI's `{ error: { message, type, code } }` shape.
    */
-  async handleSettings(request) {
+  async getOpenAIModelsApi(request, { freeOnly = false, modelId = null } = {}) {
+    const headers = {
+      'Content-Type': 'application/json',
+      'Access-Control-Allow-Origin': '*'
+    };
+    const openAIError = (status, message, code) => new Response(JSON.stringify({
+      error: { message, type: 'invalid_request_error', param: null, code }
+    }), { status, headers });
+
+    try {
+      if (request.method === 'OPTIONS') {
+        return new Response(null, {
+          status: 204,
+          headers: {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'GET, OPTIONS',
+            'Access-Control-Allow-Headers': 'Authorization, Content-Type'
+          }
+        });
+      }
+
+      const data = await this.kv.get('models_data');
+      if (!data) {
+        return openAIError(503, 'No models data available yet, run monitoring first', 'no_models_data');
+      }
+
+      const modelsData = JSON.parse(data);
+      const free = freeOnly || ['1', 'true'].includes(new URL(request.url).searchParams.get('free'));
+      const models = free ? modelsData.freeModels || [] : modelsData.allModels || [];
+
+      if (modelId) {
+        const model = models.find(item => item.id === modelId);
+        if (!model) {
+          return openAIError(404, `The model '${modelId}' does not exist${free ? ' or is not free' : ''}`, 'model_not_found');
+        }
+        return new Response(JSON.stringify(toOpenAIModel(model)), { headers });
+      }
+
+      return new Response(JSON.stringify({
+        object: 'list',
+        data: models.map(toOpenAIModel)
+      }), { headers });
+    } catch (error) {
+      console.error('Error getting OpenAI models list:', error);
+      return openAIError(500, error.message, 'internal_error');
+    }
+  }
+
+  /**
+   * API endpoint that ranks the current free models against requirements
+   * (see recommend.js) and suggests a fallback chain
+   */
+  async getRecommendApi(request) {
+    try {
+      const { requirements, error, message } = parseRecommendQuery(new URL(request.url).searchParams);
+      if (error) {
+        return new Response(JSON.stringify({ error, message }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const [data, firstSeenRaw, flapping] = await Promise.all([
+        this.kv.get('models_data'),
+        this.kv.get('model_first_seen'),
+        this.flapGuard.getFlapping()
+      ]);
+      if (!data) {
+        return new Response(JSON.stringify({
+          error: 'No models data available',
+          message: 'Run monitoring first to collect data'
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const modelsData = JSON.parse(data);
+      const result = recommendModels(modelsData.freeModels || [], requirements, {
+        flapping,
+        firstSeen: firstSeenRaw ? JSON.parse(firstSeenRaw) : {}
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: result.models,
+        fallbackChain: result.fallbackChain,
+        matchedCount: result.matchedCount,
+        requirements,
+        timestamp: modelsData.timestamp
+      }), {
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error recommending models:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to recommend models',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * API endpoint to query the change log
+   */
+  async getChangesApi(request) {
+    try {
+      const url = new URL(request.url);
+      const params = url.searchParams;
+
+      for (const name of ['since', 'until']) {
+        const value = params.get(name);
+        if (value && Number.isNaN(Date.parse(value))) {
+          return new Response(JSON.stringify({
+            error: `Invalid ${name} parameter`,
+            message: 'Use an ISO 8601 timestamp or date'
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+      }
+
+      const types = (params.get('type') || '').split(',').map(type => type.trim()).filter(Boolean);
+      const unknownTypes = types.filter(type => !CHANGE_TYPES.includes(type));
+      if (unknownTypes.length > 0) {
+        return new Response(JSON.stringify({
+          error: 'Invalid type parameter',
+          message: `Unknown change type(s): ${unknownTypes.join(', ')}. Expected: ${CHANGE_TYPES.join(', ')}`
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const cursor = params.get('cursor');
+      if (cursor && !parseEventId(cursor)) {
+        return new Response(JSON.stringify({
+          error: 'Invalid cursor parameter',
+          message: 'Use the nextCursor of the previous page'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const result = await this.changeLog.query({
+        since: params.get('since'),
+        until: params.get('until'),
+        modelPrefix: params.get('model'),
+        provider: params.get('provider'),
+        types,
+        limit: params.get('limit'),
+        cursor
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: result.events,
+        nextCursor: result.nextCursor,
+        totalCount: result.events.length
+      }), {
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error querying changes:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to query changes',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * Serve the change feed as Atom or RSS
+   * Supports ?free=1 (only events involving free models), ?provider=, ?model= and ?limit=
+   * Only the newest FEED_MAX_RUNS runs are scanned, so selective filters stay cheap.
+   */
+  async serveFeed(request, format) {
+    try {
+      const url = new URL(request.url);
+      const params = url.searchParams;
+      const freeOnly = params.get('free') === '1' || params.get('free') === 'true';
+
+      const { events } = await this.changeLog.query({
+        provider: params.get('provider'),
+        modelPrefix: params.get('model'),
+        limit: params.get('limit') || 50,
+        maxRuns: FEED_MAX_RUNS,
+        filter: event => isFeedEvent(event) && (!freeOnly || event.free || event.wasFree)
+      });
+
+      const options = {
+        baseUrl: url.origin,
+        selfUrl: url.href,
+        title: freeOnly ? 'OpenRouter 免费模型变动' : 'OpenRouter 模型变动'
+      };
+
+      if (format === 'rss') {
+        return new Response(renderRssFeed(events, options), {
+          headers: { 
+            'Content-Type': 'application/rss+xml; charset=utf-8',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+
+      return new Response(renderAtomFeed(events, options), {
+        headers: { 
+          'Content-Type': 'application/atom+xml; charset=utf-8',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error serving feed:', error);
+      return new Response('Internal server error', { status: 500 });
+    }
+  }
+
+  /**
+   * Client config snippets generated from the current free models
+   * (`/api/export/{format}`). Accepts the /api/models filters and sort; models
+   * are sorted by context length by default. CSV, NDJSON and XLSX exports of
+   * the whole catalog are handled by exportCatalog. `/api/export` lists the formats.
+   */
+  async serveExport(request, format) {
+    try {
+      if (!format) {
+        return new Response(JSON.stringify({
+          success: true,
+          formats: [
+            ...Object.entries(CONFIG_FORMATS).map(([id, { label }]) => ({ id, label, kind: 'config' })),
+            ...Object.entries(DATA_FORMATS).map(([id, { label }]) => ({ id, label, kind: 'data' }))
+          ]
+        }), {
+          headers: { 
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+
+      if (DATA_FORMATS[format]) {
+        return await this.exportCatalog(request, format);
+      }
+
+      if (!CONFIG_FORMATS[format]) {
+        return new Response(JSON.stringify({
+          error: 'Unknown export format',
+          message: `Expected one of: ${[...Object.keys(CONFIG_FORMATS), ...Object.keys(DATA_FORMATS)].join(', ')}`
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const data = await this.kv.get('models_data');
+      if (!data) {
+        return new Response(JSON.stringify({
+          error: 'No models data available',
+          message: 'Run monitoring first to collect data'
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { query, error, message } = parseModelQuery(new URL(request.url).searchParams);
+      if (query) {
+        // Snippets always cover the free models and are not paginated
+        delete query.free;
+        query.cursor = null;
+        if (!query.sort) {
+          query.sort = 'context';
+          query.order = 'desc';
+        }
+      }
+
+      const result = error ? { error, message } : queryModels(JSON.parse(data).freeModels || [], query);
+      if (result.error) {
+        return new Response(JSON.stringify({
+          error: result.error,
+          message: result.message
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { contentType, extension } = CONFIG_FORMATS[format];
+      return new Response(renderConfig(format, result.models), {
+        headers: { 
+          'Content-Type': contentType,
+          'Content-Disposition': `inline; filename="openrouter-free-${format}.${extension}"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error exporting config:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to export config',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * CSV, NDJSON or XLSX download of the catalog, filtered and sorted like
+   * /api/models. `snapshot=<time>` exports the catalog as it was at that time,
+   * `history=1` exports every stored snapshot between `since` and `until`
+   * (newest first, at most MAX_EXPORT_SNAPSHOTS) with a `snapshot` column.
+   * CSV and NDJSON are streamed, loading one snapshot at a time.
+   */
+  async exportCatalog(request, format) {
+    try {
+      const params = new URL(request.url).searchParams;
+      const badRequest = (error, message, status = 400) => new Response(JSON.stringify({ error, message }), {
+        status,
+        headers: { 'Content-Type': 'application/json' }
+      });
+
+      const { query, error, message } = parseModelQuery(params);
+      if (error) {
+        return badRequest(error, message);
+      }
+      // Each snapshot is exported whole, `limit` still caps the rows per snapshot
+      query.cursor = null;
+
+      const history = ['1', 'true'].includes(params.get('history'));
+      const snapshotTime = params.get('snapshot');
+      for (const [name, value] of [['snapshot', snapshotTime], ['since', params.get('since')], ['until', params.get('until')]]) {
+        if (value && Number.isNaN(Date.parse(value))) {
+          return badRequest(`Invalid ${name} parameter`, 'Use an ISO 8601 timestamp or date, e.g. 2024-01-01T00:00:00Z');
+        }
+      }
+
+      const { contentType, extension, render, maxSnapshots } = DATA_FORMATS[format];
+      const rowsOf = catalog => queryModels(catalog.allModels || [], query).models
+        .map(model => flattenModel(model, history ? catalog.timestamp : null));
+
+      // One loader per exported catalog, returning its rows
+      let batches;
+      let label;
+      if (history) {
+        const entries = await this.snapshots.listSnapshots({
+          since: params.get('since'),
+          until: params.get('until'),
+          limit: Math.min(MAX_EXPORT_SNAPSHOTS, maxSnapshots || MAX_EXPORT_SNAPSHOTS)
+        });
+        batches = entries.map(entry => async () => {
+          const snapshot = await this.snapshots.getSnapshot(entry.id);
+          return snapshot ? rowsOf(snapshot) : [];
+        });
+        label = 'history';
+      } else {
+        let catalog;
+        if (snapshotTime) {
+          catalog = await this.snapshots.getSnapshotAt(snapshotTime);
+          if (!catalog) {
+            return badRequest('No snapshot available', 'No snapshot was recorded at or before ' + snapshotTime, 404);
+          }
+        } else {
+          const data = await this.kv.get('models_data');
+          if (!data) {
+            return badRequest('No models data available', 'Run monitoring first to collect data', 404);
+          }
+          catalog = JSON.parse(data);
+        }
+        const rows = rowsOf(catalog);
+        batches = [async () => rows];
+        label = catalog.timestamp || 'latest';
+      }
+
+      let body;
+      if (render) {
+        const rows = [];
+        for (const load of batches) {
+          rows.push(...await load());
+        }
+        body = render(rows);
+      } else {
+        body = streamRows(format, batches);
+      }
+
+      const fileLabel = label.replace(/[^0-9A-Za-z-]/g, '');
+      return new Response(body, {
+        headers: { 
+          'Content-Type': contentType,
+          'Content-Disposition': `attachment; filename="openrouter-models-${fileLabel}.${extension}"`,
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error exporting models:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to export models',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * API endpoint to list stored catalog snapshots
+   */
+  async getSnapshotsApi(request) {
+    try {
+      const url = new URL(request.url);
+      const limit = parseInt(url.searchParams.get('limit'), 10);
+      const snapshots = await this.snapshots.listSnapshots({
+        since: url.searchParams.get('since'),
+        until: url.searchParams.get('until'),
+        limit: Number.isNaN(limit) ? undefined : limit
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: snapshots,
+        totalCount: snapshots.length
+      }), {
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error listing snapshots:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to list snapshots',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * API endpoint to get the catalog snapshot in effect at a given time
+   */
+  async getSnapshotApi(time) {
+    try {
+      if (Number.isNaN(Date.parse(time))) {
+        return new Response(JSON.stringify({
+          error: 'Invalid snapshot time',
+          message: 'Use an ISO 8601 timestamp or date, e.g. 2024-01-01T00:00:00Z'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const snapshot = await this.snapshots.getSnapshotAt(time);
+      if (!snapshot) {
+        return new Response(JSON.stringify({
+          error: 'No snapshot available',
+          message: 'No snapshot was recorded at or before ' + time
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: snapshot.allModels || [],
+        freeModelIds: (snapshot.freeModels || []).map(model => model.id),
+        timestamp: snapshot.timestamp,
+        totalCount: snapshot.totalModels || 0
+      }), {
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error getting snapshot:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to retrieve snapshot',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * Settings endpoint - handles GET and POST for settings
+   */
+  async handleSettings(request) {
     const authKey = this.env.SETTINGS_AUTH_KEY;
     if (!authKey) {
       return new Response(JSON.stringify({
@@ -932,6 +2206,439 @@ if (document.readyState === 'loading') {
     }
   }
 
+  /**
+   * Handle watchlist requests: GET lists watched models, POST / DELETE with
+   * { auth, modelId } watch or unwatch a model
+   */
+  async handleWatchlist(request) {
+    try {
+      if (request.method === 'GET') {
+        const [entries, data] = await Promise.all([this.watchlist.getEntries(), this.kv.get('models_data')]);
+        const models = data ? JSON.parse(data).allModels || [] : [];
+
+        return new Response(JSON.stringify({
+          success: true,
+          data: entries.map(entry => {
+            const model = models.find(item => item.id === entry.modelId);
+            return {
+              ...entry,
+              name: model ? model.name || model.id : null,
+              status: model ? 'available' : 'missing',
+              free: model ? isFreeModel(model) : false
+            };
+          })
+        }), {
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+
+      if (request.method !== 'POST' && request.method !== 'DELETE') {
+        return new Response('Method not allowed', { status: 405 });
+      }
+
+      const authKey = this.env.SETTINGS_AUTH_KEY;
+      if (!authKey) {
+        return new Response(JSON.stringify({
+          error: 'Settings authentication not configured'
+        }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { auth, modelId } = await request.json();
+      if (auth !== authKey) {
+        return new Response(JSON.stringify({
+          error: '身份验证失败'
+        }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (typeof modelId !== 'string' || !modelId.trim()) {
+        return new Response(JSON.stringify({
+          error: 'modelId 不能为空'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const id = modelId.trim();
+      const changed = request.method === 'POST' ? await this.watchlist.add(id) : await this.watchlist.remove(id);
+
+      return new Response(JSON.stringify({
+        success: true,
+        message: request.method === 'POST'
+          ? (changed ? '已关注该模型' : '该模型已在关注列表中')
+          : (changed ? '已取消关注' : '该模型不在关注列表中'),
+        data: await this.watchlist.getEntries()
+      }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error handling watchlist:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to update watchlist',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * API endpoint for the notification delivery log (`channel`, `status`, `kind`, `limit`).
+   * GET is public and leaves out message payloads and subscriber deliveries;
+   * POST with the same filters and `auth` returns the full entries.
+   */
+  async getNotificationsApi(request) {
+    try {
+      let filters;
+      if (request.method === 'POST') {
+        const authKey = this.env.SETTINGS_AUTH_KEY;
+        if (!authKey) {
+          return new Response(JSON.stringify({
+            error: 'Settings authentication not configured'
+          }), {
+            status: 500,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        const { auth, ...body } = await request.json();
+        if (auth !== authKey) {
+          return new Response(JSON.stringify({
+            error: '身份验证失败'
+          }), {
+            status: 401,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+        filters = body;
+      } else if (request.method === 'GET') {
+        const params = new URL(request.url).searchParams;
+        filters = {
+          channel: params.get('channel'),
+          status: params.get('status'),
+          kind: params.get('kind'),
+          limit: params.get('limit')
+        };
+      } else {
+        return new Response('Method not allowed', { status: 405 });
+      }
+
+      const status = filters.status;
+      if (status && !DELIVERY_STATUSES.includes(status)) {
+        return new Response(JSON.stringify({
+          error: 'Invalid status parameter',
+          message: `Expected one of: ${DELIVERY_STATUSES.join(', ')}`
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const entries = await this.deliveryLog.query({
+        channelId: filters.channel,
+        status,
+        kind: filters.kind,
+        limit: filters.limit,
+        redacted: request.method === 'GET'
+      });
+
+      return new Response(JSON.stringify({
+        success: true,
+        data: entries,
+        totalCount: entries.length
+      }), {
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error querying notification log:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to query notification log',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * Handle the notification dead-letter list: GET lists permanently failed
+   * deliveries plus those still waiting for a retry, without events and
+   * subscriber deliveries; POST (with auth) lists the full entries and
+   * DELETE (with auth) clears the list
+   */
+  async handleNotificationFailures(request) {
+    try {
+      if (!['GET', 'POST', 'DELETE'].includes(request.method)) {
+        return new Response('Method not allowed', { status: 405 });
+      }
+
+      if (request.method === 'GET') {
+        return await this.listNotificationFailures(true);
+      }
+
+      const authKey = this.env.SETTINGS_AUTH_KEY;
+      if (!authKey) {
+        return new Response(JSON.stringify({
+          error: 'Settings authentication not configured'
+        }), {
+          status: 500,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      const { auth } = await request.json();
+      if (auth !== authKey) {
+        return new Response(JSON.stringify({
+          error: '身份验证失败'
+        }), {
+          status: 401,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (request.method === 'POST') {
+        return await this.listNotificationFailures(false);
+      }
+
+      await this.outbox.clearFailures();
+
+      return new Response(JSON.stringify({
+        success: true,
+        message: '失败记录已清空'
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Error handling notification failures:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to handle notification failures',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  async listNotificationFailures(redacted) {
+    const [failures, pending] = await Promise.all([this.outbox.getFailures(), this.outbox.getEntries()]);
+
+    return new Response(JSON.stringify({
+      success: true,
+      data: {
+        failures: redacted ? redactEntries(failures) : failures,
+        pending: redacted ? redactEntries(pending) : pending,
+        maxAttempts: this.outbox.maxAttempts
+      }
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
+  /**
+   * Handle public subscription requests. `subpath` is the part after /api/subscriptions:
+   *   ''                  GET subscription options, POST create (returns the token once)
+   *   '/<id>'             GET / PUT / DELETE with the subscription token
+   *   '/<id>/test'        POST a test notification with the subscription token
+   *   '/<id>/unsubscribe' GET one-click unsubscribe with ?token=
+   * The token is accepted as `Authorization: Bearer <token>` or `?token=`.
+   */
+  async handleSubscriptions(request, subpath) {
+    const [id, action = ''] = subpath.replace(/^\/+/, '').split('/');
+    return withPathSegment(id, decodedId =>
+      withPathSegment(action, decodedAction => this.routeSubscription(request, decodedId, decodedAction)));
+  }
+
+  async routeSubscription(request, id, action) {
+    try {
+
+      if (!id) {
+        if (request.method === 'GET') {
+          return new Response(JSON.stringify({
+            success: true,
+            data: {
+              channelTypes: notifierRegistry.describe().filter(type => this.subscriptions.channelTypes.includes(type.type)),
+              changeTypes: RULE_CHANGE_TYPES,
+              operators: RULE_OPERATORS
+            }
+          }), {
+            headers: {
+              'Content-Type': 'application/json',
+              'Access-Control-Allow-Origin': '*'
+            }
+          });
+        }
+
+        if (request.method !== 'POST') {
+          return new Response('Method not allowed', { status: 405 });
+        }
+
+        const data = await request.json();
+        const error = this.subscriptions.validate(data) ||
+          (await this.subscriptions.isFull() ? '订阅数量已达上限' : null);
+        if (error) {
+          return new Response(JSON.stringify({
+            error
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        if (!await this.subscriptions.checkCreateRate(request.headers.get('CF-Connecting-IP'))) {
+          return new Response(JSON.stringify({
+            error: '创建订阅过于频繁，请稍后再试'
+          }), {
+            status: 429,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        const { subscription, token } = await this.subscriptions.create(data);
+        const baseUrl = new URL(request.url).origin;
+        return new Response(JSON.stringify({
+          success: true,
+          message: '订阅成功，请妥善保存 token，它只会显示这一次',
+          data: this.subscriptions.toPublic(subscription),
+          token,
+          manageUrl: `${baseUrl}/api/subscriptions/${subscription.id}`,
+          unsubscribeUrl: `${baseUrl}/api/subscriptions/${subscription.id}/unsubscribe?token=${token}`
+        }), {
+          status: 201,
+          headers: {
+            'Content-Type': 'application/json',
+            'Access-Control-Allow-Origin': '*'
+          }
+        });
+      }
+
+      const url = new URL(request.url);
+      const authorization = request.headers.get('Authorization') || '';
+      const token = authorization.startsWith('Bearer ') ? authorization.slice(7).trim() : url.searchParams.get('token');
+      const subscription = await this.subscriptions.authorize(id, token);
+      if (!subscription) {
+        return new Response(JSON.stringify({
+          error: '订阅不存在或 token 无效'
+        }), {
+          status: 404,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (action === 'unsubscribe' && request.method === 'GET') {
+        await this.subscriptions.remove(subscription.id);
+        return new Response(JSON.stringify({
+          success: true,
+          message: '已取消订阅'
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (action === 'test' && request.method === 'POST') {
+        const event = buildTestEvent();
+        const [result] = await notifierRegistry.dispatch([this.subscriptions.toChannel(subscription)], event);
+        await this.deliveryLog.record([{ result, event }]);
+        return new Response(JSON.stringify({
+          success: result.status !== 'failed',
+          message: result.status === 'failed' ? '测试推送失败' : '测试推送已发送',
+          results: [result]
+        }), {
+          status: result.status === 'failed' ? 502 : 200,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (action) {
+        return new Response('API endpoint not found', { status: 404 });
+      }
+
+      if (request.method === 'GET') {
+        return new Response(JSON.stringify({
+          success: true,
+          data: this.subscriptions.toPublic(subscription)
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (request.method === 'DELETE') {
+        await this.subscriptions.remove(subscription.id);
+        return new Response(JSON.stringify({
+          success: true,
+          message: '已取消订阅'
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (request.method !== 'PUT') {
+        return new Response('Method not allowed', { status: 405 });
+      }
+
+      // Omitted fields keep their current value; masked secrets keep the stored secret
+      const data = await request.json();
+      const channel = data.channel
+        ? notifierRegistry.mergeSecrets({ id: 'subscription', ...data.channel }, [{ id: 'subscription', ...subscription.channel }])
+        : subscription.channel;
+      const filters = data.filters !== undefined ? data.filters : subscription.filters;
+
+      const error = this.subscriptions.validate({ channel, filters });
+      if (error) {
+        return new Response(JSON.stringify({
+          error
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      subscription.channel = { type: channel.type, config: channel.config || {} };
+      subscription.filters = filters || {};
+      if (typeof data.name === 'string') {
+        subscription.name = data.name.trim().slice(0, 100);
+      }
+      await this.subscriptions.save(subscription);
+
+      return new Response(JSON.stringify({
+        success: true,
+        message: '订阅已更新',
+        data: this.subscriptions.toPublic(subscription)
+      }), {
+        headers: { 'Content-Type': 'application/json' }
+      });
+    } catch (error) {
+      console.error('Error handling subscription:', error);
+      return new Response(JSON.stringify({
+        error: 'Failed to handle subscription',
+        message: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
   /**
    * Get current settings
    */
@@ -945,6 +2652,13 @@ if (document.readyState === 'loading') {
         data: {
           monitorInterval: parsedSettings.monitorInterval || 5,
           barkBaseUrl: parsedSettings.barkBaseUrl || '',
+          removalGraceRuns: getGracePeriod(parsedSettings).runs,
+          removalGraceMinutes: getGracePeriod(parsedSettings).minutes,
+          notificationChannels: getStoredChannels(parsedSettings).map(channel => notifierRegistry.mask(channel)),
+          channelTypes: notifierRegistry.describe(),
+          rules: parsedSettings.rules || [],
+          ruleChangeTypes: RULE_CHANGE_TYPES,
+          ruleOperators: RULE_OPERATORS,
           lastUpdated: parsedSettings.lastUpdated || null
         }
       }), {
@@ -971,7 +2685,7 @@ if (document.readyState === 'loading') {
   async updateSettings(request, authKey) {
     try {
       const data = await request.json();
-      const { auth, monitorInterval, barkBaseUrl } = data;
+      const { auth, monitorInterval, barkBaseUrl, notificationChannels, removalGraceRuns, removalGraceMinutes, rules } = data;
 
       // Verify authentication
       if (auth !== authKey) {
@@ -1002,9 +2716,98 @@ if (document.readyState === 'loading') {
         });
       }
 
-      // Get current settings
-      const currentSettings = await this.kv.get('app_settings');
-      const settings = currentSettings ? JSON.parse(currentSettings) : {};
+      if (removalGraceRuns !== undefined && !(Number.isInteger(removalGraceRuns) && removalGraceRuns >= 0 && removalGraceRuns <= 100)) {
+        return new Response(JSON.stringify({
+          error: '下架确认次数必须在0-100之间'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      if (removalGraceMinutes !== undefined && !(Number.isInteger(removalGraceMinutes) && removalGraceMinutes >= 0 && removalGraceMinutes <= 1440)) {
+        return new Response(JSON.stringify({
+          error: '下架确认时间必须在0-1440分钟之间'
+        }), {
+          status: 400,
+          headers: { 'Content-Type': 'application/json' }
+        });
+      }
+
+      // Get current settings
+      const currentSettings = await this.kv.get('app_settings');
+      const settings = currentSettings ? JSON.parse(currentSettings) : {};
+
+      // Restore masked secrets before validating so unchanged secrets pass
+      let channels;
+      if (notificationChannels !== undefined) {
+        if (!Array.isArray(notificationChannels)) {
+          return new Response(JSON.stringify({
+            error: 'notificationChannels 必须是数组'
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        const previousChannels = getStoredChannels(settings);
+        channels = notificationChannels.map(channel => notifierRegistry.mergeSecrets({
+          id: (channel && channel.id) || crypto.randomUUID().slice(0, 8),
+          type: channel && channel.type,
+          name: ((channel && channel.name) || '').trim(),
+          enabled: !channel || channel.enabled !== false,
+          config: (channel && channel.config) || {},
+          ...(channel && channel.delivery ? { delivery: channel.delivery } : {}),
+          ...(channel && channel.template ? { template: channel.template } : {})
+        }, previousChannels));
+
+        const channelsError = this.validateChannels(channels);
+        if (channelsError) {
+          return new Response(JSON.stringify({
+            error: channelsError
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+      }
+
+      // Rules may only route to channels that exist after this update
+      let normalizedRules;
+      if (rules !== undefined) {
+        if (!Array.isArray(rules)) {
+          return new Response(JSON.stringify({
+            error: 'rules 必须是数组'
+          }), {
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          });
+        }
+
+        const channelIds = [...RESERVED_CHANNEL_IDS, ...(channels || getStoredChannels(settings)).map(channel => channel.id)];
+        normalizedRules = rules.map(rule => (rule && typeof rule === 'object' ? {
+          id: rule.id || crypto.randomUUID().slice(0, 8),
+          name: typeof rule.name === 'string' ? rule.name.trim() : '',
+          enabled: rule.enabled !== false,
+          changeTypes: rule.changeTypes || [],
+          conditions: rule.conditions || [],
+          channels: rule.channels
+        } : rule));
+
+        const ids = new Set();
+        for (const rule of normalizedRules) {
+          const ruleError = ids.has(rule.id) ? `规则 ID 重复: ${rule.id}` : validateRule(rule, channelIds);
+          if (ruleError) {
+            return new Response(JSON.stringify({
+              error: ruleError
+            }), {
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            });
+          }
+          ids.add(rule.id);
+        }
+      }
 
       // Update settings
       if (monitorInterval !== undefined) {
@@ -1013,6 +2816,19 @@ if (document.readyState === 'loading') {
       if (barkBaseUrl !== undefined) {
         settings.barkBaseUrl = barkBaseUrl.trim();
       }
+      if (removalGraceRuns !== undefined) {
+        settings.removalGraceRuns = removalGraceRuns;
+      }
+      if (removalGraceMinutes !== undefined) {
+        settings.removalGraceMinutes = removalGraceMinutes;
+      }
+      if (normalizedRules !== undefined) {
+        settings.rules = normalizedRules;
+      }
+      if (channels !== undefined) {
+        settings.notificationChannels = channels;
+        delete settings.webhooks;
+      }
       settings.lastUpdated = new Date().toISOString();
 
       // Save settings
@@ -1024,6 +2840,10 @@ if (document.readyState === 'loading') {
         data: {
           monitorInterval: settings.monitorInterval,
           barkBaseUrl: settings.barkBaseUrl,
+          removalGraceRuns: getGracePeriod(settings).runs,
+          removalGraceMinutes: getGracePeriod(settings).minutes,
+          rules: settings.rules || [],
+          notificationChannels: getStoredChannels(settings).map(channel => notifierRegistry.mask(channel)),
           lastUpdated: settings.lastUpdated
         }
       }), {
@@ -1044,6 +2864,36 @@ if (document.readyState === 'loading') {
     }
   }
 
+  /**
+   * Validate notification channel settings, returning an error message or null
+   */
+  validateChannels(channels) {
+    const ids = new Set();
+    for (const channel of channels) {
+      const error = notifierRegistry.validate(channel);
+      if (error) {
+        return error;
+      }
+      if (RESERVED_CHANNEL_IDS.includes(channel.id)) {
+        return `通知通道 ID 为保留值: ${channel.id}`;
+      }
+      if (ids.has(channel.id)) {
+        return `通知通道 ID 重复: ${channel.id}`;
+      }
+      const deliveryError = validateDelivery(channel.delivery);
+      if (deliveryError) {
+        return `${channel.name || channel.id}: ${deliveryError}`;
+      }
+      const templateError = validateTemplate(channel.template);
+      if (templateError) {
+        return `${channel.name || channel.id}: ${templateError}`;
+      }
+      ids.add(channel.id);
+    }
+
+    return null;
+  }
+
   /**
    * Status endpoint
    */
@@ -1111,6 +2961,80 @@ if (document.readyState === 'loading') {
     }
   }
 
+  /**
+   * 测试通知通道端点，?channel=<id> 指定单个通道，否则测试全部通道。
+   * ?preview=1 只返回渲染结果不发送；POST { channel: { type, config, template } }
+   * 预览尚未保存的通道
+   */
+  async testNotification(request) {
+    try {
+      if (request.method === 'POST') {
+        return await this.previewChannel(request);
+      }
+
+      const { ModelMonitor } = await import('./monitor.js');
+      const monitor = new ModelMonitor(this.env);
+      const url = new URL(request.url);
+
+      const result = url.searchParams.get('preview') === '1'
+        ? await monitor.previewNotification(url.searchParams.get('channel'))
+        : await monitor.testNotification(url.searchParams.get('channel'));
+
+      return new Response(JSON.stringify(result), {
+        status: result.success ? 200 : 502,
+        headers: { 
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': '*'
+        }
+      });
+    } catch (error) {
+      console.error('Error testing notification:', error);
+      return new Response(JSON.stringify({
+        success: false,
+        error: error.message
+      }), {
+        status: 500,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+  }
+
+  /**
+   * Render the test message for an unsaved channel definition
+   */
+  async previewChannel(request) {
+    const { channel } = await request.json();
+    const error = !channel || !notifierRegistry.has(channel.type)
+      ? `未知的通知通道类型: ${channel && channel.type}`
+      : validateTemplate(channel.template);
+    if (error) {
+      return new Response(JSON.stringify({
+        success: false,
+        error
+      }), {
+        status: 400,
+        headers: { 'Content-Type': 'application/json' }
+      });
+    }
+
+    const preview = notifierRegistry.preview({
+      id: 'preview',
+      type: channel.type,
+      config: channel.config || {},
+      template: channel.template
+    }, buildTestEvent());
+
+    return new Response(JSON.stringify({
+      success: true,
+      previews: [{ channelId: channel.id || null, type: channel.type, ...preview }]
+    }), {
+      headers: {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': '*'
+      }
+    });
+  }
+
   /**
    * Generate main HTML page
    */
@@ -1126,6 +3050,7 @@ if (document.readyState === 'loading') {
     <title>OpenRouter 模型监控</title>
     <link rel="icon" type="image/png" href="/favicon.ico">
     <link rel="apple-touch-icon" href="/favicon.ico">
+    <link rel="alternate" type="application/atom+xml" title="OpenRouter 模型变动" href="/feed.xml">
     <link rel="stylesheet" href="/style.css">
 </head>
 <body>
@@ -1149,6 +3074,19 @@ if (document.readyState === 'loading') {
                     <option value="context">按上下文长度排序</option>
                 </select>
                 <button id="freeOnlyBtn" class="filter-btn">💰 仅显示免费模型</button>
+                <select id="exportSelect" title="导出当前筛选结果或历史快照">
+                    <option value="">⬇️ 导出</option>
+                    <optgroup label="当前列表">
+                        <option value="csv">CSV</option>
+                        <option value="ndjson">NDJSON</option>
+                        <option value="xlsx">Excel (XLSX)</option>
+                    </optgroup>
+                    <optgroup label="历史快照">
+                        <option value="history:csv">CSV</option>
+                        <option value="history:ndjson">NDJSON</option>
+                        <option value="history:xlsx">Excel (XLSX)</option>
+                    </optgroup>
+                </select>
                 <button id="refreshBtn" class="refresh-btn">🔄 刷新</button>
                 <button id="settingsBtn" class="settings-btn">⚙️ 设置</button>
             </div>
@@ -1195,6 +3133,34 @@ if (document.readyState === 'loading') {
                     <input type="url" id="barkBaseUrl" placeholder="https://api.day.app/your_key" />
                     <small>设置 Bark 通知的基础 URL，格式: https://api.day.app/your_key</small>
                 </div>
+                <div class="setting-item">
+                    <label>下架确认:</label>
+                    <div class="grace-period">
+                        <input type="number" id="removalGraceRuns" min="0" max="100" placeholder="2" />
+                        <span>次连续缺失或</span>
+                        <input type="number" id="removalGraceMinutes" min="0" max="1440" placeholder="0" />
+                        <span>分钟</span>
+                    </div>
+                    <small>模型需连续缺失达到次数或时长（满足其一）才视为下架，期间标记为不稳定；0 表示不使用该条件</small>
+                </div>
+                <div class="setting-item">
+                    <label>通知通道:</label>
+                    <div id="channelList" class="channel-list"></div>
+                    <div class="channel-add">
+                        <select id="channelTypeSelect"></select>
+                        <button type="button" id="addChannelBtn" class="channel-btn">➕ 添加通道</button>
+                    </div>
+                    <small>可同时启用多个通道，单个通道推送失败不会影响其他通道</small>
+                </div>
+                <div class="setting-item">
+                    <label>推送记录:</label>
+                    <div id="deliveryLog" class="delivery-log"></div>
+                    <div class="channel-add">
+                        <button type="button" id="refreshDeliveryLogBtn" class="channel-btn">🔄 刷新</button>
+                        <button type="button" id="showDeliveryPayloadsBtn" class="channel-btn">🔒 查看消息内容</button>
+                    </div>
+                    <small>最近 30 次推送及其 HTTP 状态与耗时，失败的推送会自动重试；消息内容和订阅者的推送需验证身份后查看</small>
+                </div>
                 <div class="setting-item">
                     <label for="authKey">身份验证密钥:</label>
                     <input type="password" id="authKey" placeholder="输入身份验证密钥" />
@@ -1208,6 +3174,17 @@ if (document.readyState === 'loading') {
         </div>
     </div>
     
+    <!-- 模型变更历史模态框 -->
+    <div id="historyModal" class="modal" style="display: none;">
+        <div class="modal-content">
+            <div class="modal-header">
+                <h3 id="historyTitle">📜 变更历史</h3>
+                <span class="close">&times;</span>
+            </div>
+            <div id="historyBody" class="modal-body"></div>
+        </div>
+    </div>
+    
     <script src="/script.js"></script>
 </body>
 </html>`;
@@ -1340,7 +3317,7 @@ h1 {
     color: #666;
 }
 
-#sortSelect {
+#sortSelect, #exportSelect {
     padding: 14px 18px;
     border: 2px solid rgba(255, 122, 0, 0.3);
     border-radius: 10px;
@@ -1351,7 +3328,7 @@ h1 {
     transition: all 0.3s ease;
 }
 
-#sortSelect:focus {
+#sortSelect:focus, #exportSelect:focus {
     outline: none;
     border-color: #ff7a00;
 }
@@ -1565,6 +3542,68 @@ h1 {
     white-space: nowrap;
 }
 
+.model-badges {
+    display: flex;
+    flex-direction: column;
+    align-items: flex-end;
+    gap: 6px;
+    flex-shrink: 0;
+}
+
+.model-links {
+    display: flex;
+    align-items: center;
+    gap: 12px;
+    margin-top: 6px;
+}
+
+.watch-btn {
+    padding: 2px 10px;
+    border: 1px solid rgba(255, 122, 0, 0.3);
+    border-radius: 12px;
+    background: transparent;
+    color: #6c757d;
+    font-size: 0.8em;
+    cursor: pointer;
+}
+
+.watch-btn:hover {
+    color: #ff7a00;
+}
+
+.watch-btn.active {
+    background: rgba(255, 122, 0, 0.1);
+    color: #ff7a00;
+    font-weight: 600;
+}
+
+.flapping-badge {
+    background: rgba(245, 158, 11, 0.15);
+    color: #b45309;
+    border: 1px solid rgba(245, 158, 11, 0.4);
+    padding: 4px 10px;
+    border-radius: 20px;
+    font-size: 0.75em;
+    font-weight: 600;
+    white-space: nowrap;
+    cursor: help;
+}
+
+.grace-period {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+}
+
+.setting-item .grace-period input {
+    width: 80px;
+}
+
+.setting-item .grace-period span {
+    white-space: nowrap;
+    font-size: 0.9em;
+}
+
 .model-description {
     color: #495057;
     font-size: 0.95em;
@@ -1701,6 +3740,58 @@ h1 {
     transform: translateX(0);
 }
 
+.history-link {
+    display: inline-block;
+    font-size: 0.8em;
+    color: #ff7a00;
+    text-decoration: none;
+}
+
+.history-link:hover {
+    text-decoration: underline;
+}
+
+.timeline-summary {
+    margin-bottom: 15px;
+    color: #495057;
+    font-size: 0.9em;
+    line-height: 1.6;
+}
+
+.timeline-item {
+    padding: 10px 0;
+    border-top: 1px solid rgba(255, 122, 0, 0.15);
+}
+
+.timeline-header {
+    display: flex;
+    justify-content: space-between;
+    gap: 10px;
+    font-size: 0.9em;
+}
+
+.timeline-type {
+    font-weight: 600;
+    color: #212529;
+}
+
+.timeline-time {
+    color: #6c757d;
+}
+
+.timeline-change {
+    margin-top: 4px;
+    font-family: monospace;
+    font-size: 0.8em;
+    color: #495057;
+    word-break: break-all;
+}
+
+#historyBody {
+    max-height: 60vh;
+    overflow-y: auto;
+}
+
 /* 模态框样式 */
 .modal {
     position: fixed;
@@ -1806,6 +3897,173 @@ h1 {
     line-height: 1.4;
 }
 
+#settingsModal .modal-body {
+    max-height: 65vh;
+    overflow-y: auto;
+}
+
+.setting-item select,
+.setting-item textarea {
+    width: 100%;
+    padding: 10px 14px;
+    border: 2px solid rgba(255, 122, 0, 0.2);
+    border-radius: 8px;
+    font-size: 14px;
+    background: rgba(255, 255, 255, 0.8);
+    color: #212529;
+    box-sizing: border-box;
+    font-family: inherit;
+}
+
+.channel-list {
+    display: flex;
+    flex-direction: column;
+    gap: 12px;
+    margin-bottom: 10px;
+}
+
+.channel-empty {
+    color: #6c757d;
+    font-size: 0.85em;
+}
+
+.channel-item {
+    padding: 12px;
+    border: 1px solid rgba(255, 122, 0, 0.2);
+    border-radius: 8px;
+    background: rgba(255, 122, 0, 0.03);
+}
+
+.channel-header {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+    margin-bottom: 8px;
+}
+
+.channel-type {
+    flex: 1;
+    font-weight: 600;
+    color: #ff7a00;
+}
+
+.setting-item .channel-enabled {
+    display: flex;
+    align-items: center;
+    gap: 4px;
+    margin: 0;
+    font-weight: normal;
+}
+
+.setting-item .channel-enabled input,
+.setting-item .channel-field input[type="checkbox"] {
+    width: auto;
+}
+
+.channel-field {
+    margin-top: 8px;
+}
+
+.setting-item .channel-field label {
+    margin-bottom: 4px;
+    font-weight: normal;
+    font-size: 0.8em;
+}
+
+.setting-item .channel-field input {
+    padding: 8px 12px;
+    font-size: 14px;
+}
+
+.channel-delivery {
+    margin-top: 10px;
+    font-size: 0.9em;
+}
+
+.channel-delivery summary {
+    cursor: pointer;
+    color: #6c757d;
+}
+
+.template-preview {
+    margin: 8px 0 0;
+    padding: 8px;
+    border-radius: 6px;
+    background: rgba(255, 122, 0, 0.05);
+    font-size: 0.85em;
+    white-space: pre-wrap;
+    word-break: break-all;
+}
+
+.quiet-hours {
+    display: flex;
+    align-items: center;
+    gap: 8px;
+}
+
+.setting-item .quiet-hours input {
+    flex: 1;
+}
+
+.channel-add {
+    display: flex;
+    gap: 8px;
+}
+
+.channel-btn {
+    padding: 6px 12px;
+    border: 1px solid rgba(255, 122, 0, 0.3);
+    border-radius: 6px;
+    background: rgba(255, 255, 255, 0.8);
+    color: #ff7a00;
+    font-size: 0.85em;
+    cursor: pointer;
+    white-space: nowrap;
+}
+
+.channel-btn:hover:not(:disabled) {
+    background: rgba(255, 122, 0, 0.1);
+}
+
+.channel-btn:disabled {
+    opacity: 0.5;
+    cursor: not-allowed;
+}
+
+.delivery-log {
+    max-height: 300px;
+    overflow-y: auto;
+    margin-bottom: 10px;
+}
+
+.delivery-log-item {
+    padding: 8px 0;
+    border-top: 1px solid rgba(255, 122, 0, 0.15);
+}
+
+.delivery-log-meta {
+    margin-top: 2px;
+    font-size: 0.85em;
+    color: #495057;
+}
+
+.delivery-log-error {
+    margin-top: 2px;
+    font-size: 0.85em;
+    color: #dc3545;
+    word-break: break-all;
+}
+
+.delivery-log-item details {
+    font-size: 0.85em;
+    color: #6c757d;
+}
+
+.delivery-log-item pre {
+    white-space: pre-wrap;
+    margin: 4px 0 0;
+}
+
 .modal-footer {
     padding: 20px 25px;
     border-top: 1px solid rgba(255, 122, 0, 0.2);
@@ -1881,7 +4139,7 @@ h1 {
         box-sizing: border-box;
     }
     
-    #sortSelect {
+    #sortSelect, #exportSelect {
         width: 100%;
         font-size: 16px;
         box-sizing: border-box;